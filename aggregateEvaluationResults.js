@@ -0,0 +1,149 @@
+/**
+ * Google Cloud Function: Aggregate Evaluation Results
+ * 
+ * Fan-in step of a fanned-out evaluation run: once every student task has
+ * reported, merges the per-student results and saves them like processEvaluation
+ */
+
+const {
+  mergeEvaluationResults,
+  connectToDatabase,
+  saveResultsToMongoDB,
+  handleSaveError,
+  EvaluationRun,
+  StudentEvaluationResult
+} = require('./utils');
+
+// Deliveries of the aggregation task before the exam is marked failed (match the queue's max attempts)
+const DEFAULT_AGGREGATION_MAX_ATTEMPTS = 5;
+
+// ============================================================================
+// CLOUD FUNCTION: AGGREGATE EVALUATION RESULTS
+// ============================================================================
+exports.aggregateEvaluationResults = async (req, res) => {
+  console.log('\n🚀 ============ EVALUATION AGGREGATION TRIGGERED ============');
+  console.log('   Timestamp:', new Date().toISOString());
+
+  let run = null;
+
+  try {
+    const payload = req.body;
+
+    console.log('\n📋 Payload received:');
+    console.log('   Run ID:', payload.runId || '❌ MISSING');
+    console.log('   Tenant ID:', payload.tenantId || '❌ MISSING');
+    console.log('===================================================\n');
+
+    // Validate payload
+    if (!payload.runId) {
+      throw new Error('Invalid payload: runId is required');
+    }
+    if (!payload.tenantId) {
+      throw new Error('Invalid payload: tenantId is required');
+    }
+
+    await connectToDatabase();
+
+    // Claim the run once every student has reported, so redelivered tasks do not finalize twice
+    run = await EvaluationRun.findOneAndUpdate(
+      {
+        runId: payload.runId,
+        tenantId: payload.tenantId,
+        status: 'running',
+        $expr: { $gte: [{ $size: '$reportedStudentIds' }, { $size: '$studentIds' }] }
+      },
+      { status: 'aggregating' },
+      { new: true }
+    );
+
+    if (!run) {
+      console.log('   ℹ️  Run is not ready for aggregation or was already aggregated');
+      return res.status(200).json({
+        success: true,
+        message: 'Nothing to aggregate',
+        runId: payload.runId
+      });
+    }
+
+    // Merge in roster order so totals and raw responses are deterministic
+    const studentResults = await StudentEvaluationResult.find({ runId: run.runId });
+    const resultsByStudent = new Map(studentResults.map(r => [r.studentId, r]));
+    const orderedResults = run.studentIds.map(studentId => {
+      const studentResult = resultsByStudent.get(studentId);
+      return studentResult?.status === 'completed' ? studentResult.result : null;
+    });
+    const allResults = mergeEvaluationResults(orderedResults);
+    const failures = studentResults
+      .filter(r => r.status === 'failed')
+      .map(r => ({ studentId: r.studentId, errorCode: r.errorCode || 'unknown', message: r.error, attempts: r.attempts || 1 }));
+
+    console.log(`\n💰 Total Cost: $${(allResults.tokenUsage.totalCost || 0).toFixed(6)}`);
+    console.log(`🎯 Students evaluated: ${Object.keys(allResults.students).length}/${run.studentIds.length}`);
+
+    // Save results to MongoDB
+    console.log('\n💾 Saving results to MongoDB...');
+    await saveResultsToMongoDB({
+      examId: run.examId,
+      tenantId: run.tenantId,
+      evaluationLevel: run.evaluationLevel,
+      results: allResults,
+      createdBy: run.createdBy || 'cloud-function',
+      rawResponse: allResults.rawResponse,
+      runId: run.runId,
+      failures
+    });
+    console.log('✅ Results saved successfully');
+
+    run.status = 'completed';
+    run.aggregatedAt = new Date();
+    await run.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Evaluation aggregated and saved to database',
+      examId: run.examId,
+      runId: run.runId,
+      studentsProcessed: Object.keys(allResults.students).length,
+      studentsFailed: failures.length,
+      totalStudents: run.studentIds.length
+    });
+
+  } catch (error) {
+    console.error('\n❌ Error aggregating evaluation:', error);
+    console.error('   Stack:', error.stack);
+
+    // The task name is de-duplicated, so only a redelivery of this same task can retry the
+    // aggregation: return 500 until the last attempt, which gives up and marks the exam failed
+    const attempt = (parseInt(req.headers?.['x-cloudtasks-taskretrycount'], 10) || 0) + 1;
+    const maxAttempts = parseInt(process.env.AGGREGATION_MAX_ATTEMPTS, 10) || DEFAULT_AGGREGATION_MAX_ATTEMPTS;
+    const retry = !error.message.startsWith('Invalid payload') && attempt < maxAttempts;
+
+    // Release the run so the aggregation can be claimed again
+    try {
+      await connectToDatabase();
+      if (run) {
+        await EvaluationRun.updateOne({ runId: run.runId }, { status: 'running' });
+      }
+      if (!retry && run) {
+        await handleSaveError({
+          examId: run.examId,
+          tenantId: req.body?.tenantId,
+          error: error.message
+        });
+      }
+    } catch (dbError) {
+      console.error('❌ Failed to save error status:', dbError);
+    }
+
+    if (retry) {
+      console.log(`   🔄 Aggregation attempt ${attempt}/${maxAttempts} failed, the task will be retried`);
+    }
+    res.status(retry ? 500 : 200).json({
+      success: false,
+      message: 'Evaluation aggregation failed',
+      error: error.message,
+      runId: req.body?.runId,
+      retry
+    });
+  }
+};
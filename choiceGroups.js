@@ -0,0 +1,143 @@
+/**
+ * Internal choice ("OR") groups
+ *
+ * A choice group lists the alternatives of one internal choice question
+ * (e.g. "33 part a" OR "33 part b"). Only one member of a group counts towards
+ * the student's total: the attempted one, or the best one if several were
+ * attempted. Scheme totals count each group once.
+ */
+
+const normalizeQuestionNumber = (questionNumber) => String(questionNumber ?? '').trim().toLowerCase();
+
+// ============================================================================
+// MARKING SCHEME
+// ============================================================================
+
+/**
+ * Clean up the choice groups of an extracted marking scheme
+ * Drops unknown question numbers and groups left with fewer than two members,
+ * and fills in the section and marks (of the largest alternative) of each group.
+ * @param {Object} markingScheme - { sections, choiceGroups: [{ groupId, questionNumbers }] }
+ * @returns {Array<{ groupId, sectionName, questionNumbers, marks }>}
+ */
+function normalizeChoiceGroups(markingScheme) {
+  const questionsByNumber = new Map();
+  (markingScheme?.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => {
+      questionsByNumber.set(normalizeQuestionNumber(question.questionNumber), { question, sectionName: section.sectionName });
+    });
+  });
+
+  const groups = [];
+  const groupedQuestions = new Set();
+
+  (markingScheme?.choiceGroups || []).forEach((group, index) => {
+    const members = [];
+    (group.questionNumbers || []).forEach(questionNumber => {
+      const key = normalizeQuestionNumber(questionNumber);
+      const entry = questionsByNumber.get(key);
+      // A question can only belong to one group
+      if (entry && !groupedQuestions.has(key)) {
+        members.push(entry);
+        groupedQuestions.add(key);
+      }
+    });
+
+    if (members.length < 2) return;
+
+    groups.push({
+      groupId: String(group.groupId ?? index + 1),
+      sectionName: members[0].sectionName,
+      questionNumbers: members.map(m => m.question.questionNumber),
+      marks: Math.max(...members.map(m => parseFloat(m.question.marks) || 0))
+    });
+  });
+
+  return groups;
+}
+
+/**
+ * Map each grouped question number to its group
+ */
+function indexChoiceGroups(choiceGroups = []) {
+  const index = new Map();
+  choiceGroups.forEach(group => {
+    group.questionNumbers.forEach(questionNumber => index.set(normalizeQuestionNumber(questionNumber), group));
+  });
+  return index;
+}
+
+/**
+ * Total marks of a list of questions, counting each choice group once
+ * @param {Array} questions - Questions with questionNumber and marks
+ * @param {Array} choiceGroups - Normalized choice groups
+ */
+function totalMarksWithChoiceGroups(questions, choiceGroups = []) {
+  const groupIndex = indexChoiceGroups(choiceGroups);
+  const countedGroups = new Set();
+
+  return questions.reduce((sum, question) => {
+    const group = groupIndex.get(normalizeQuestionNumber(question.questionNumber));
+    if (!group) return sum + (parseFloat(question.marks) || 0);
+    if (countedGroups.has(group.groupId)) return sum;
+    countedGroups.add(group.groupId);
+    return sum + group.marks;
+  }, 0);
+}
+
+// ============================================================================
+// STUDENT SCORING
+// ============================================================================
+
+/**
+ * Whether the student attempted a question
+ * Uses the evaluator's `attempted` flag, falling back to whether any marks were awarded.
+ */
+function isAttempted(question) {
+  if (typeof question.attempted === 'boolean') return question.attempted;
+  return (parseFloat(question.marksAwarded) || 0) > 0;
+}
+
+/**
+ * Mark which member of each choice group counts towards the total
+ * The best attempted member counts; if none was attempted, the first member
+ * present counts (for zero marks, so the group's max marks still count).
+ * @param {Array} questions - Evaluated questions with questionNumber and marksAwarded
+ * @param {Array} choiceGroups - Normalized choice groups of the marking scheme
+ * @returns {Array} - Questions with choiceGroup and countedInTotal set
+ */
+function applyChoiceGroups(questions, choiceGroups = []) {
+  const groupIndex = indexChoiceGroups(choiceGroups);
+  const membersByGroup = new Map();
+
+  questions.forEach((question, index) => {
+    const group = groupIndex.get(normalizeQuestionNumber(question.questionNumber));
+    if (!group) return;
+    if (!membersByGroup.has(group.groupId)) membersByGroup.set(group.groupId, []);
+    membersByGroup.get(group.groupId).push(index);
+  });
+
+  const countedIndexes = new Set();
+  membersByGroup.forEach(memberIndexes => {
+    const attempted = memberIndexes.filter(index => isAttempted(questions[index]));
+    const candidates = attempted.length > 0 ? attempted : memberIndexes;
+    const best = candidates.reduce((bestIndex, index) =>
+      (parseFloat(questions[index].marksAwarded) || 0) > (parseFloat(questions[bestIndex].marksAwarded) || 0) ? index : bestIndex
+    );
+    countedIndexes.add(best);
+  });
+
+  return questions.map((question, index) => {
+    const group = groupIndex.get(normalizeQuestionNumber(question.questionNumber));
+    if (!group) {
+      return { ...question, choiceGroup: null, countedInTotal: true };
+    }
+    return { ...question, choiceGroup: group.groupId, countedInTotal: countedIndexes.has(index) };
+  });
+}
+
+module.exports = {
+  normalizeChoiceGroups,
+  totalMarksWithChoiceGroups,
+  applyChoiceGroups
+};
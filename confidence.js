@@ -0,0 +1,88 @@
+/**
+ * Question confidence scoring
+ *
+ * Every evaluated question gets a confidence between 0 and 1: the lowest of
+ * the model's own confidence and the signals found after evaluation (ensemble
+ * spread, illegible handwriting, score corrections). Questions below the
+ * tenant's threshold are queued for human review.
+ */
+
+// Questions below this confidence are reviewed when the tenant sets no threshold
+const DEFAULT_REVIEW_THRESHOLD = 0.6;
+
+// Confidence of a question the evaluator could not read
+const ILLEGIBLE_CONFIDENCE = 0.3;
+
+// Confidence of a question whose samples were flagged as disagreeing
+const DISAGREEMENT_CONFIDENCE = 0.5;
+
+// Confidence of a question whose marks score reconciliation had to cap or change substantially
+// (below DEFAULT_REVIEW_THRESHOLD, so these are reviewed by default)
+const CORRECTED_CONFIDENCE = 0.5;
+
+// Confidence of a question whose marks were only tidied up (snapped to the step grid, a missing
+// or miscounted total recomputed): at the threshold, so these are not reviewed by default
+const ADJUSTED_CONFIDENCE = DEFAULT_REVIEW_THRESHOLD;
+
+// Corrections that cap marks the evaluator awarded beyond the scheme's limits
+const CAPPING_CORRECTIONS = new Set(['clamped_to_max', 'step_marks_clamped', 'negative_marks']);
+
+// Share of the question's max marks above which any correction counts as substantial
+const SUBSTANTIAL_CORRECTION_SHARE = 0.25;
+
+const normalizeQuestionNumber = (questionNumber) => String(questionNumber ?? '').trim().toLowerCase();
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+function isSubstantialCorrection(correction, maxMarks) {
+  if (CAPPING_CORRECTIONS.has(correction.code)) return true;
+  const change = Math.abs((parseFloat(correction.corrected) || 0) - (parseFloat(correction.original) || 0));
+  return maxMarks > 0 && change > maxMarks * SUBSTANTIAL_CORRECTION_SHARE;
+}
+
+/**
+ * Confidence of one evaluated question
+ * @param {Object} question - Evaluated question (confidence, illegible, ensemble, maxMarks)
+ * @param {Array} [scoreCorrections] - Corrections of the student's evaluation (see scoreReconciliation.js)
+ * @returns {{ confidence: number, confidenceReasons: string[] }} - Reasons name every signal below 1
+ */
+function scoreQuestionConfidence(question, scoreCorrections = []) {
+  const signals = [];
+
+  const modelConfidence = parseFloat(question.confidence);
+  if (!Number.isNaN(modelConfidence)) {
+    signals.push({ reason: 'model_confidence', value: clamp01(modelConfidence) });
+  }
+
+  if (question.illegible === true) {
+    signals.push({ reason: 'illegible', value: ILLEGIBLE_CONFIDENCE });
+  }
+
+  if (question.ensemble?.sampleMarks?.length > 1) {
+    const maxMarks = parseFloat(question.maxMarks) || 0;
+    const spreadConfidence = maxMarks > 0 ? clamp01(1 - (question.ensemble.spread || 0) / maxMarks) : 1;
+    signals.push({
+      reason: 'ensemble_spread',
+      value: question.ensemble.disagreement ? Math.min(spreadConfidence, DISAGREEMENT_CONFIDENCE) : spreadConfidence
+    });
+  }
+
+  const questionKey = normalizeQuestionNumber(question.questionNumber);
+  const questionCorrections = scoreCorrections.filter(correction => normalizeQuestionNumber(correction.questionNumber) === questionKey);
+  if (questionCorrections.length > 0) {
+    const maxMarks = parseFloat(question.maxMarks) || 0;
+    signals.push(questionCorrections.some(correction => isSubstantialCorrection(correction, maxMarks))
+      ? { reason: 'score_corrected', value: CORRECTED_CONFIDENCE }
+      : { reason: 'score_adjusted', value: ADJUSTED_CONFIDENCE });
+  }
+
+  const lowering = signals.filter(signal => signal.value < 1);
+  return {
+    confidence: lowering.length > 0 ? Math.min(...lowering.map(signal => signal.value)) : 1,
+    confidenceReasons: lowering.map(signal => signal.reason)
+  };
+}
+
+module.exports = {
+  DEFAULT_REVIEW_THRESHOLD,
+  scoreQuestionConfidence
+};
@@ -0,0 +1,184 @@
+/**
+ * Multi-sample ensemble evaluation
+ *
+ * For high-stakes exams an answer sheet can be evaluated several times,
+ * optionally with different providers, models or temperatures. Each question
+ * gets the median of the sampled marks, and questions whose samples spread
+ * further apart than the disagreement threshold are flagged.
+ *
+ * Configuration (payload.ensemble overrides the environment):
+ * - samples: number of samples, or a list of { provider, model, temperature }
+ * - disagreementThreshold: largest tolerated spread (max - min) in marks
+ */
+
+const { addTokenUsage, emptyTokenUsage } = require('./pricing');
+
+const DEFAULT_DISAGREEMENT_THRESHOLD = 1;
+
+const normalizeQuestionNumber = (questionNumber) => String(questionNumber ?? '').trim().toLowerCase();
+const marksOf = (question) => parseFloat(question?.marksAwarded) || 0;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Resolve the ensemble configuration of a request
+ * @param {Object} [ensemble] - payload.ensemble
+ * @returns {{ samples: Array<{ provider, model, temperature }>, disagreementThreshold: number }|null}
+ *          null when fewer than two samples are requested
+ */
+function resolveEnsembleConfig(ensemble = {}) {
+  const requested = ensemble.samples ?? parseInt(process.env.ENSEMBLE_SAMPLES || '1', 10);
+  const samples = Array.isArray(requested)
+    ? requested.map(sample => ({ provider: sample.provider, model: sample.model, temperature: sample.temperature }))
+    : Array.from({ length: Math.max(0, parseInt(requested, 10) || 0) }, () => ({}));
+
+  if (samples.length < 2) return null;
+
+  const threshold = parseFloat(ensemble.disagreementThreshold ?? process.env.ENSEMBLE_DISAGREEMENT_THRESHOLD);
+  return {
+    samples,
+    disagreementThreshold: Number.isNaN(threshold) ? DEFAULT_DISAGREEMENT_THRESHOLD : threshold
+  };
+}
+
+// ============================================================================
+// COMBINATION
+// ============================================================================
+
+/**
+ * Median of a list of marks
+ * With an even number of samples the lower middle value is used, so the
+ * median is always a mark one of the samples actually awarded.
+ */
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+/**
+ * Combine the evaluations of one student into a single evaluation
+ * Questions keep the feedback of the sample closest to the median.
+ * @param {Array<Object>} samples - Per-sample student data ({ questions, ... }) in sample order
+ * @param {number} disagreementThreshold - Largest tolerated spread in marks
+ * @returns {{ questions: Array, flaggedQuestions: string[] }}
+ */
+function combineStudentSamples(samples, disagreementThreshold) {
+  const questionOrder = [];
+  const byQuestion = new Map();
+
+  samples.forEach((sample, sampleIndex) => {
+    (sample.questions || []).forEach(question => {
+      const key = normalizeQuestionNumber(question.questionNumber);
+      if (!byQuestion.has(key)) {
+        byQuestion.set(key, []);
+        questionOrder.push(key);
+      }
+      byQuestion.get(key).push({ question, sampleIndex });
+    });
+  });
+
+  const flaggedQuestions = [];
+  const questions = questionOrder.map(key => {
+    const entries = byQuestion.get(key);
+    const sampleMarks = entries.map(entry => marksOf(entry.question));
+    const median = medianOf(sampleMarks);
+    const spread = Math.max(...sampleMarks) - Math.min(...sampleMarks);
+    // A question a sample skipped counts as disagreement
+    const disagreement = spread > disagreementThreshold || entries.length < samples.length;
+
+    const representative = entries.reduce((best, entry) =>
+      Math.abs(marksOf(entry.question) - median) < Math.abs(marksOf(best.question) - median) ? entry : best
+    ).question;
+    if (disagreement) flaggedQuestions.push(representative.questionNumber);
+
+    return {
+      ...representative,
+      marksAwarded: median,
+      awarded_marks: median,
+      ensemble: {
+        sampleMarks,
+        median,
+        spread,
+        sampleCount: entries.length,
+        disagreement
+      }
+    };
+  });
+
+  return { questions, flaggedQuestions };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Evaluate a student once per ensemble sample and combine the results
+ * Samples run in parallel; the evaluation fails only when every sample fails.
+ * @param {Function} evaluateSample - (sample) => Promise<{ students, tokenUsage, rawResponse }>
+ * @param {Object} config - From resolveEnsembleConfig
+ * @returns {Promise<{ students, tokenUsage, rawResponse }>} - Token usage summed over all samples
+ */
+async function evaluateWithEnsemble(evaluateSample, config) {
+  console.log(`   🎲 Ensemble evaluation: ${config.samples.length} samples, disagreement threshold ${config.disagreementThreshold}`);
+
+  const settled = await Promise.allSettled(config.samples.map(sample => evaluateSample(sample)));
+  const succeeded = [];
+  settled.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      succeeded.push({ result: outcome.value, sample: config.samples[index], sampleNumber: index + 1 });
+    } else {
+      console.warn(`   ⚠️  Ensemble sample ${index + 1} failed: ${outcome.reason?.message}`);
+    }
+  });
+  if (succeeded.length === 0) {
+    throw settled[0].reason;
+  }
+
+  const tokenUsage = succeeded.reduce((total, { result }) => addTokenUsage(total, result.tokenUsage), emptyTokenUsage());
+
+  const students = {};
+  const studentKeys = [...new Set(succeeded.flatMap(({ result }) => Object.keys(result.students || {})))];
+  studentKeys.forEach(studentKey => {
+    const studentSamples = succeeded
+      .map(entry => ({ ...entry, data: entry.result.students?.[studentKey] }))
+      .filter(entry => entry.data);
+    const { questions, flaggedQuestions } = combineStudentSamples(studentSamples.map(entry => entry.data), config.disagreementThreshold);
+
+    if (flaggedQuestions.length > 0) {
+      console.log(`   🚩 Ensemble disagreement on question(s): ${flaggedQuestions.join(', ')}`);
+    }
+
+    students[studentKey] = {
+      ...studentSamples[0].data,
+      questions,
+      scoreCorrections: studentSamples.flatMap(({ data, sampleNumber }) => (data.scoreCorrections || [])
+        .map(correction => ({ ...correction, message: `Sample ${sampleNumber}: ${correction.message}` }))),
+      ensembleSummary: {
+        sampleCount: studentSamples.length,
+        failedSamples: config.samples.length - succeeded.length,
+        disagreementThreshold: config.disagreementThreshold,
+        flaggedQuestions,
+        samples: studentSamples.map(({ data, sample }) => ({
+          provider: data.provenance?.provider || sample.provider,
+          model: data.provenance?.model || sample.model,
+          temperature: sample.temperature
+        }))
+      }
+    };
+  });
+
+  return {
+    students,
+    tokenUsage,
+    rawResponse: succeeded.map(({ result }) => result.rawResponse).filter(Boolean).join('\n\n---\n\n')
+  };
+}
+
+module.exports = {
+  resolveEnsembleConfig,
+  combineStudentSamples,
+  evaluateWithEnsemble
+};
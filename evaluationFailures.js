@@ -0,0 +1,49 @@
+/**
+ * Per-student evaluation failures
+ *
+ * A student whose evaluation fails is recorded with an error code, the error
+ * message and the number of attempts made, so the failure can be reported and
+ * the student re-evaluated later (see retryFailedStudents.js).
+ */
+
+// Checked in order; the first match names the failure
+const ERROR_CODE_RULES = [
+  { code: 'marking_scheme_unavailable', test: (error) => /failed to load marking scheme/i.test(error.message) },
+  { code: 'invalid_output', test: (error) => Array.isArray(error.violations) || /structured output invalid/i.test(error.message) },
+  { code: 'empty_response', test: (error) => /no (candidates|content parts|text content)/i.test(error.message) },
+  { code: 'safety_blocked', test: (error) => /safety|blocked|recitation/i.test(error.message) },
+  { code: 'rate_limited', test: (error) => error.status === 429 || /quota|rate limit|resource exhausted/i.test(error.message) },
+  { code: 'provider_unavailable', test: (error) => error.status >= 500 || /overloaded|unavailable/i.test(error.message) },
+  { code: 'timeout', test: (error) => /timeout|timed out|deadline/i.test(error.message) },
+  { code: 'answer_sheet_unavailable', test: (error) => /no such object|not found|permission denied|gs:\/\//i.test(error.message) }
+];
+
+/**
+ * Error code of a failed evaluation
+ * @param {Error} error
+ * @returns {string} - One of the ERROR_CODE_RULES codes, or 'unknown'
+ */
+function classifyEvaluationError(error) {
+  const normalized = { status: error?.status, violations: error?.violations, message: String(error?.message || error || '') };
+  return ERROR_CODE_RULES.find(rule => rule.test(normalized))?.code || 'unknown';
+}
+
+/**
+ * Failure record of one student
+ * @param {string} studentId - Student key (see getStudentKey)
+ * @param {Error} error - Error of the last attempt (retryWithBackoff sets error.attempts)
+ * @returns {{ studentId, errorCode, message, attempts }}
+ */
+function describeStudentFailure(studentId, error) {
+  return {
+    studentId,
+    errorCode: classifyEvaluationError(error),
+    message: String(error?.message || error || 'Unknown error'),
+    attempts: error?.attempts || 1
+  };
+}
+
+module.exports = {
+  classifyEvaluationError,
+  describeStudentFailure
+};
@@ -0,0 +1,109 @@
+/**
+ * Exam lifecycle
+ *
+ * An exam moves through a fixed set of states and only along the transitions
+ * listed below. Every transition is recorded in the exam's statusHistory, and
+ * a transition to 'failed' keeps the error in lastError until the exam is
+ * evaluated again. Shared by saveResultsToMongoDB and saveResults.js.
+ *
+ *   created → queued → evaluating → evaluated | pending_review → evaluated
+ *   evaluating → partially_evaluated (more batches to come, or students without a result)
+ *   any run → failed → queued | evaluating (retry)
+ *
+ * 'queued' is set by the backend when it queues the evaluation task.
+ */
+
+const EXAM_STATUSES = ['created', 'queued', 'evaluating', 'partially_evaluated', 'pending_review', 'evaluated', 'failed'];
+
+const EXAM_TRANSITIONS = {
+  created: ['queued', 'evaluating', 'failed'],
+  queued: ['evaluating', 'failed'],
+  evaluating: ['partially_evaluated', 'pending_review', 'evaluated', 'failed'],
+  partially_evaluated: ['queued', 'evaluating', 'pending_review', 'evaluated', 'failed'],
+  pending_review: ['evaluated', 'queued', 'evaluating'],
+  evaluated: ['queued', 'evaluating'],
+  failed: ['queued', 'evaluating']
+};
+
+// States in which a run is still writing results
+const IN_PROGRESS_STATUSES = new Set(['queued', 'evaluating', 'partially_evaluated']);
+
+// Statuses written by the backend before the lifecycle existed
+const LEGACY_EXAM_STATUSES = {
+  pending: 'queued',
+  processing: 'evaluating',
+  completed: 'evaluated',
+  error: 'failed'
+};
+
+/**
+ * Lifecycle state of a stored status
+ * Exams saved before the lifecycle existed may have no status ('created') or a legacy one.
+ * Any other value is returned unchanged, so the exam schema rejects it instead of resetting the exam.
+ */
+function normalizeExamStatus(status) {
+  if (status === undefined || status === null) return 'created';
+  return LEGACY_EXAM_STATUSES[status] || status;
+}
+
+/**
+ * Whether an exam may move from one state to another
+ * Staying in the same state is always allowed (redelivered requests).
+ */
+function canTransitionExam(from, to) {
+  const current = normalizeExamStatus(from);
+  return current === to || (EXAM_TRANSITIONS[current] || []).includes(to);
+}
+
+function isExamInProgress(status) {
+  return IN_PROGRESS_STATUSES.has(status);
+}
+
+/**
+ * Move an exam document to a new state (the caller saves it)
+ * @param {Object} exam - Exam document with status, statusHistory and lastError
+ * @param {string} to - Target state
+ * @param {Object} [options]
+ * @param {string} [options.updatedBy] - Who made the transition
+ * @param {string} [options.error] - Error message, required context for 'failed'
+ * @param {string} [options.note] - Why the transition happened
+ * @returns {boolean} - false when the exam already was in the target state
+ * @throws {Error} - When the transition is not allowed
+ */
+function transitionExam(exam, to, { updatedBy, error, note } = {}) {
+  if (!EXAM_STATUSES.includes(to)) {
+    throw new Error(`Unknown exam status: ${to}`);
+  }
+
+  const from = exam.status;
+  if (!canTransitionExam(from, to)) {
+    throw new Error(`Invalid exam status transition: ${from || 'none'} → ${to}`);
+  }
+  if (from === to && to !== 'failed') {
+    return false;
+  }
+
+  const at = new Date();
+  if (!exam.statusHistory) exam.statusHistory = [];
+  exam.statusHistory.push({ from: from || null, to, at, by: updatedBy, error, note });
+
+  exam.status = to;
+  if (to === 'failed') {
+    exam.lastError = { message: error || 'Unknown error', at };
+  } else if (to === 'evaluated' || to === 'pending_review') {
+    exam.lastError = null;
+  }
+  if (updatedBy) exam.updatedBy = updatedBy;
+
+  console.log(`   🔀 Exam status: ${from || 'none'} → ${to}`);
+  return true;
+}
+
+module.exports = {
+  EXAM_STATUSES,
+  EXAM_TRANSITIONS,
+  normalizeExamStatus,
+  canTransitionExam,
+  isExamInProgress,
+  transitionExam
+};
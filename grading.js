@@ -0,0 +1,319 @@
+/**
+ * Grading policies
+ *
+ * Maps a percentage to a letter grade, grade point and descriptor using the
+ * tenant's GradingPolicy (per exam type, falling back to the tenant default,
+ * then to the built-in bands). Shared by saveResultsToMongoDB and saveResults.js.
+ *
+ * Modes:
+ * - absolute: percentage bands
+ * - relative: grades from the student's rank in the exam cohort (rankBands) and/or
+ *             a curve that moves all scores toward a target mean before banding
+ *
+ * Also computes per-section score summaries and the section pass criteria of ExamType.
+ */
+
+// ============================================================================
+// BUILT-IN POLICIES
+// ============================================================================
+
+const GRADING_POLICY_PRESETS = {
+  // Bands used before grading policies existed
+  standard: {
+    name: 'Standard (A+ to F)',
+    bands: [
+      { grade: 'A+', minPercentage: 90 },
+      { grade: 'A', minPercentage: 80 },
+      { grade: 'B+', minPercentage: 70 },
+      { grade: 'B', minPercentage: 60 },
+      { grade: 'C', minPercentage: 50 },
+      { grade: 'D', minPercentage: 40 },
+      { grade: 'F', minPercentage: 0 }
+    ]
+  },
+
+  // CBSE 9-point scale
+  'cbse-9-point': {
+    name: 'CBSE 9-point (A1 to E2)',
+    bands: [
+      { grade: 'A1', minPercentage: 91, gradePoint: 10, descriptor: 'Outstanding' },
+      { grade: 'A2', minPercentage: 81, gradePoint: 9, descriptor: 'Excellent' },
+      { grade: 'B1', minPercentage: 71, gradePoint: 8, descriptor: 'Very Good' },
+      { grade: 'B2', minPercentage: 61, gradePoint: 7, descriptor: 'Good' },
+      { grade: 'C1', minPercentage: 51, gradePoint: 6, descriptor: 'Above Average' },
+      { grade: 'C2', minPercentage: 41, gradePoint: 5, descriptor: 'Average' },
+      { grade: 'D', minPercentage: 33, gradePoint: 4, descriptor: 'Below Average' },
+      { grade: 'E1', minPercentage: 21, gradePoint: 0, descriptor: 'Needs Improvement' },
+      { grade: 'E2', minPercentage: 0, gradePoint: 0, descriptor: 'Needs Improvement' }
+    ]
+  },
+
+  // CBSE grades by rank: each successive eighth of the cohort gets the next grade
+  'cbse-9-point-relative': {
+    name: 'CBSE 9-point relative (eighths of the cohort)',
+    mode: 'relative',
+    rankBands: [
+      { grade: 'A1', topFraction: 1 / 8, gradePoint: 10, descriptor: 'Outstanding' },
+      { grade: 'A2', topFraction: 2 / 8, gradePoint: 9, descriptor: 'Excellent' },
+      { grade: 'B1', topFraction: 3 / 8, gradePoint: 8, descriptor: 'Very Good' },
+      { grade: 'B2', topFraction: 4 / 8, gradePoint: 7, descriptor: 'Good' },
+      { grade: 'C1', topFraction: 5 / 8, gradePoint: 6, descriptor: 'Above Average' },
+      { grade: 'C2', topFraction: 6 / 8, gradePoint: 5, descriptor: 'Average' },
+      { grade: 'D', topFraction: 7 / 8, gradePoint: 4, descriptor: 'Below Average' },
+      { grade: 'E', topFraction: 1, gradePoint: 0, descriptor: 'Needs Improvement' }
+    ],
+    // Used for single students until the cohort is graded
+    bands: [
+      { grade: 'A1', minPercentage: 91, gradePoint: 10, descriptor: 'Outstanding' },
+      { grade: 'A2', minPercentage: 81, gradePoint: 9, descriptor: 'Excellent' },
+      { grade: 'B1', minPercentage: 71, gradePoint: 8, descriptor: 'Very Good' },
+      { grade: 'B2', minPercentage: 61, gradePoint: 7, descriptor: 'Good' },
+      { grade: 'C1', minPercentage: 51, gradePoint: 6, descriptor: 'Above Average' },
+      { grade: 'C2', minPercentage: 41, gradePoint: 5, descriptor: 'Average' },
+      { grade: 'D', minPercentage: 33, gradePoint: 4, descriptor: 'Below Average' },
+      { grade: 'E', minPercentage: 0, gradePoint: 0, descriptor: 'Needs Improvement' }
+    ]
+  }
+};
+
+const DEFAULT_GRADING_PRESET = 'standard';
+
+// ============================================================================
+// POLICY RESOLUTION
+// ============================================================================
+
+/**
+ * Snapshot of a policy as stored on ExamResult, with bands sorted highest first
+ */
+function toPolicySnapshot({ policyId = null, name, preset = null, mode = 'absolute', bands, rankBands = [], curve = null }) {
+  return {
+    policyId,
+    name,
+    preset,
+    mode,
+    bands: [...bands]
+      .map(band => ({
+        grade: band.grade,
+        minPercentage: band.minPercentage,
+        gradePoint: band.gradePoint ?? null,
+        descriptor: band.descriptor || null
+      }))
+      .sort((a, b) => b.minPercentage - a.minPercentage),
+    rankBands: [...rankBands]
+      .map(band => ({
+        grade: band.grade,
+        topFraction: band.topFraction,
+        gradePoint: band.gradePoint ?? null,
+        descriptor: band.descriptor || null
+      }))
+      .sort((a, b) => a.topFraction - b.topFraction),
+    curve: curve?.method ? {
+      method: curve.method,
+      targetMean: curve.targetMean,
+      maxAdjustment: curve.maxAdjustment ?? null
+    } : null
+  };
+}
+
+function getPresetPolicy(preset) {
+  const presetPolicy = GRADING_POLICY_PRESETS[preset];
+  if (!presetPolicy) {
+    throw new Error(`Unknown grading policy preset: ${preset}`);
+  }
+  return toPolicySnapshot({ ...presetPolicy, preset });
+}
+
+/**
+ * Find the grading policy for an exam
+ * Order: tenant policy for the exam type, tenant default policy, built-in standard bands.
+ * @param {mongoose.Model} GradingPolicy - GradingPolicy model of the caller
+ * @param {Object} options - { tenantId, examTypeId }
+ * @returns {Promise<Object>} - Policy snapshot
+ */
+async function resolveGradingPolicy(GradingPolicy, { tenantId, examTypeId }) {
+  const baseQuery = { tenantId, active: true, softDelete: false };
+
+  const policy = (examTypeId && await GradingPolicy.findOne({ ...baseQuery, examTypeId }).sort({ updatedAt: -1 }))
+    || await GradingPolicy.findOne({ ...baseQuery, examTypeId: null }).sort({ updatedAt: -1 });
+
+  if (!policy) {
+    return getPresetPolicy(DEFAULT_GRADING_PRESET);
+  }
+
+  // A policy may name a preset instead of listing its own bands, mode or curve: the preset fills in
+  // whatever the policy leaves unset. Percentage bands are also needed by relative policies
+  // (single students), so a policy without bands falls back to the standard preset's.
+  const hasBands = policy.bands?.length > 0;
+  const hasRankBands = policy.rankBands?.length > 0;
+  const presetPolicy = GRADING_POLICY_PRESETS[policy.preset] || !hasBands
+    ? getPresetPolicy(policy.preset || DEFAULT_GRADING_PRESET)
+    : null;
+
+  return toPolicySnapshot({
+    policyId: policy._id,
+    name: policy.name,
+    preset: policy.preset,
+    mode: policy.mode ?? presetPolicy?.mode ?? 'absolute',
+    bands: hasBands ? policy.bands : presetPolicy.bands,
+    rankBands: hasRankBands ? policy.rankBands : presetPolicy?.rankBands,
+    curve: policy.curve?.method ? policy.curve : presetPolicy?.curve
+  });
+}
+
+// ============================================================================
+// GRADING
+// ============================================================================
+
+/**
+ * Grade a percentage with a policy snapshot
+ * Percentages below every band get the lowest band.
+ * @returns {{ grade: string, gradePoint: number|null, descriptor: string|null }}
+ */
+function gradeForPercentage(percentage, policy) {
+  const band = policy.bands.find(b => percentage >= b.minPercentage) || policy.bands[policy.bands.length - 1];
+  return {
+    grade: band.grade,
+    gradePoint: band.gradePoint,
+    descriptor: band.descriptor
+  };
+}
+
+// ============================================================================
+// RELATIVE GRADING
+// ============================================================================
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Move every percentage toward the curve's target mean
+ * - shift: add (targetMean - mean) to every score
+ * - scale: multiply every score by targetMean / mean
+ * Adjustments are capped at maxAdjustment points and results kept within 0-100.
+ */
+function applyCurve(percentages, curve) {
+  if (!curve || percentages.length === 0) return [...percentages];
+
+  const mean = percentages.reduce((sum, p) => sum + p, 0) / percentages.length;
+  const cap = curve.maxAdjustment ?? Infinity;
+
+  return percentages.map(percentage => {
+    let adjusted = percentage;
+    if (curve.method === 'shift') adjusted = percentage + (curve.targetMean - mean);
+    else if (curve.method === 'scale' && mean > 0) adjusted = percentage * (curve.targetMean / mean);
+
+    const adjustment = Math.max(-cap, Math.min(cap, adjusted - percentage));
+    return round2(Math.max(0, Math.min(100, percentage + adjustment)));
+  });
+}
+
+/**
+ * Grade a whole exam cohort with a relative policy
+ * With rankBands, a student's grade comes from the share of the cohort ranked
+ * at or above them (tied students share the better rank). Without rankBands the
+ * curved percentages are graded with the policy's percentage bands.
+ * @param {Array<{ id: *, percentage: number }>} entries - One entry per student
+ * @param {Object} policy - Policy snapshot
+ * @returns {Array<{ id, grade, gradePoint, descriptor, rank, cohortSize, percentile, adjustedPercentage }>}
+ */
+function computeRelativeGrades(entries, policy) {
+  const cohortSize = entries.length;
+  const adjusted = applyCurve(entries.map(e => e.percentage), policy.curve);
+
+  return entries.map((entry, index) => {
+    const score = adjusted[index];
+    const rank = 1 + adjusted.filter(other => other > score).length;
+    const below = adjusted.filter(other => other < score).length;
+    const percentile = round2((below / cohortSize) * 100);
+
+    let gradeInfo;
+    if (policy.rankBands && policy.rankBands.length > 0) {
+      const share = rank / cohortSize;
+      const band = policy.rankBands.find(b => share <= b.topFraction + 1e-9) || policy.rankBands[policy.rankBands.length - 1];
+      gradeInfo = { grade: band.grade, gradePoint: band.gradePoint, descriptor: band.descriptor };
+    } else {
+      gradeInfo = gradeForPercentage(score, policy);
+    }
+
+    return { id: entry.id, ...gradeInfo, rank, cohortSize, percentile, adjustedPercentage: score };
+  });
+}
+
+// ============================================================================
+// SECTION SCORES AND PASS CRITERIA
+// ============================================================================
+
+const normalizeSectionName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Total the marks of each section, in the order sections first appear
+ * Questions not counted in the total (unused choice alternatives) are skipped.
+ * @param {Array} questions - Questions with section, marksAwarded and maxMarks
+ * @param {Object} sectionMaxMarks - sectionName -> sectionTotalMarks from the marking scheme
+ *                                   (used instead of summing question maxMarks when present)
+ * @returns {Array<{ sectionName, marksAwarded, maxMarks, percentage }>}
+ */
+function computeSectionScores(questions, sectionMaxMarks = {}) {
+  const sections = new Map();
+
+  questions.filter(q => q.countedInTotal !== false).forEach(q => {
+    const sectionName = q.section || 'General';
+    if (!sections.has(sectionName)) {
+      sections.set(sectionName, { sectionName, marksAwarded: 0, maxMarks: 0 });
+    }
+    const section = sections.get(sectionName);
+    section.marksAwarded += parseFloat(q.marksAwarded) || 0;
+    section.maxMarks += parseFloat(q.maxMarks) || 0;
+  });
+
+  return [...sections.values()].map(section => {
+    const maxMarks = sectionMaxMarks[section.sectionName] || section.maxMarks;
+    return {
+      sectionName: section.sectionName,
+      marksAwarded: round2(section.marksAwarded),
+      maxMarks,
+      percentage: maxMarks > 0 ? round2((section.marksAwarded / maxMarks) * 100) : 0
+    };
+  });
+}
+
+/**
+ * Check section scores against ExamType.sectionPassCriteria
+ * Each criterion can require minMarks, minPercentage or both. A section named by
+ * a criterion but missing from the answers counts as failed.
+ * @returns {{ sectionScores: Array, failedSections: string[] }} - Scores annotated with their minimums and passed
+ */
+function applySectionPassCriteria(sectionScores, criteria = []) {
+  const scores = sectionScores.map(score => ({ ...score }));
+  const failedSections = [];
+
+  criteria.forEach(criterion => {
+    let score = scores.find(s => normalizeSectionName(s.sectionName) === normalizeSectionName(criterion.sectionName));
+    if (!score) {
+      console.warn(`   ⚠️  No questions found for section with pass criteria: ${criterion.sectionName}`);
+      score = { sectionName: criterion.sectionName, marksAwarded: 0, maxMarks: 0, percentage: 0 };
+      scores.push(score);
+    }
+
+    const meetsMarks = criterion.minMarks == null || score.marksAwarded >= criterion.minMarks;
+    const meetsPercentage = criterion.minPercentage == null || score.percentage >= criterion.minPercentage;
+
+    score.minMarks = criterion.minMarks ?? null;
+    score.minPercentage = criterion.minPercentage ?? null;
+    score.passed = meetsMarks && meetsPercentage;
+    if (!score.passed) failedSections.push(score.sectionName);
+  });
+
+  return { sectionScores: scores, failedSections };
+}
+
+module.exports = {
+  GRADING_POLICY_PRESETS,
+  DEFAULT_GRADING_PRESET,
+  getPresetPolicy,
+  resolveGradingPolicy,
+  gradeForPercentage,
+  applyCurve,
+  computeRelativeGrades,
+  computeSectionScores,
+  applySectionPassCriteria
+};
@@ -12,3 +12,21 @@ exports.processEvaluation = require('./processEvaluation').processEvaluation;
 
 // Re-export simple evaluation function
 exports.processSimpleEvaluation = require('./processSimpleEvaluation').processSimpleEvaluation;
+
+// Re-export per-student evaluation function (fan-out mode)
+exports.processStudentEvaluation = require('./processStudentEvaluation').processStudentEvaluation;
+
+// Re-export evaluation aggregation function (fan-in for fan-out mode)
+exports.aggregateEvaluationResults = require('./aggregateEvaluationResults').aggregateEvaluationResults;
+
+// Re-export review resolution function (human review of low-confidence questions)
+exports.resolveReviewItem = require('./resolveReviewItem').resolveReviewItem;
+
+// Re-export moderation function (teacher overrides with audit trail)
+exports.moderateEvaluation = require('./moderateEvaluation').moderateEvaluation;
+
+// Re-export retry function (re-evaluates failed or missing students of an exam)
+exports.retryFailedStudents = require('./retryFailedStudents').retryFailedStudents;
+
+// Re-export budget approval function (over-budget requests held for approval)
+exports.resolveBudgetApproval = require('./resolveBudgetApproval').resolveBudgetApproval;
@@ -0,0 +1,294 @@
+/**
+ * Tolerant JSON parser for LLM responses
+ *
+ * Repairs the usual model mistakes (markdown fences, surrounding prose,
+ * unescaped control characters, unquoted keys, trailing or missing commas)
+ * and recovers truncated output by closing unterminated strings, arrays and
+ * objects. Every repair applied is reported so recovered data can be audited.
+ */
+
+// ============================================================================
+// SCANNER
+// ============================================================================
+
+const CLOSING_PAIRS = { '{': '}', '[': ']' };
+
+function lastSignificantChar(text) {
+  const trimmed = text.trimEnd();
+  return trimmed[trimmed.length - 1] || '';
+}
+
+function nextSignificantIndex(text, from) {
+  let i = from;
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+}
+
+/**
+ * Decide whether a quote inside a string closes it.
+ * A closing quote is followed by a structural character, the end of input,
+ * or a line break before the next string (a missing comma).
+ */
+function isClosingQuote(text, index) {
+  const next = nextSignificantIndex(text, index + 1);
+  if (next >= text.length) return true;
+  if (',:}]'.includes(text[next])) return true;
+  return text[next] === '"' && /[\r\n]/.test(text.substring(index + 1, next));
+}
+
+/**
+ * Single pass over the text that fixes string contents and structure outside
+ * strings, tracking the open brackets so truncated output can be closed.
+ */
+function scanAndRepair(text, applied) {
+  let output = '';
+  let inString = false;
+  let escapeNext = false;
+  let lastValueEnd = false;
+  const stack = [];
+  let index = 0;
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (inString) {
+      if (escapeNext) {
+        output += char;
+        escapeNext = false;
+      } else if (char === '\\') {
+        output += char;
+        escapeNext = true;
+      } else if (char === '"') {
+        if (isClosingQuote(text, index)) {
+          output += char;
+          inString = false;
+          lastValueEnd = true;
+        } else {
+          output += '\\"';
+          applied.add('escaped_inner_quotes');
+        }
+      } else if (char.charCodeAt(0) < 32) {
+        if (char === '\n') output += '\\n';
+        else if (char === '\r') output += '\\r';
+        else if (char === '\t') output += '\\t';
+        else output += `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+        applied.add('escaped_control_characters');
+      } else {
+        output += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      output += char;
+      continue;
+    }
+
+    const startsValue = char === '"' || char === '{' || char === '[' || /[-\d]/.test(char) || /[a-zA-Z_$]/.test(char);
+    if (startsValue && lastValueEnd && stack.length > 0) {
+      output = output.trimEnd() + ',';
+      applied.add('inserted_missing_commas');
+    }
+
+    if (char === '"') {
+      output += char;
+      inString = true;
+      lastValueEnd = false;
+    } else if (char === '{' || char === '[') {
+      output += char;
+      stack.push(char);
+      lastValueEnd = false;
+    } else if (char === '}' || char === ']') {
+      if (lastSignificantChar(output) === ',') {
+        output = output.trimEnd().slice(0, -1);
+        applied.add('removed_trailing_commas');
+      }
+      output += char;
+      stack.pop();
+      lastValueEnd = true;
+      if (stack.length === 0) {
+        index++;
+        break;
+      }
+    } else if (/[a-zA-Z_$]/.test(char)) {
+      // Bare word: either an unquoted property name or a literal
+      let end = index;
+      while (end < text.length && /[a-zA-Z0-9_$]/.test(text[end])) end++;
+      const word = text.substring(index, end);
+      const afterWord = nextSignificantIndex(text, end);
+      const expectsKey = stack[stack.length - 1] === '{' && ['{', ','].includes(lastSignificantChar(output));
+
+      if (expectsKey && text[afterWord] === ':') {
+        output += `"${word}"`;
+        applied.add('quoted_property_names');
+        lastValueEnd = false;
+      } else {
+        output += word;
+        lastValueEnd = true;
+      }
+      index = end - 1;
+    } else if (/[-\d]/.test(char)) {
+      let end = index;
+      while (end < text.length && /[-+\d.eE]/.test(text[end])) end++;
+      output += text.substring(index, end);
+      lastValueEnd = true;
+      index = end - 1;
+    } else {
+      // Structural characters: ',' and ':'
+      output += char;
+      lastValueEnd = false;
+    }
+  }
+
+  if (text.substring(index).trim()) {
+    applied.add('trimmed_trailing_text');
+  }
+
+  return { output, stack, inString, escapeNext };
+}
+
+// ============================================================================
+// TRUNCATION RECOVERY
+// ============================================================================
+
+/**
+ * Remove a trailing member or element that was cut off mid-way
+ * (dangling commas, keys without values, partial numbers or literals)
+ */
+function dropIncompleteTail(text, stack, applied) {
+  let repaired = text.trimEnd();
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const container = stack[stack.length - 1];
+
+    if (repaired.endsWith(',')) {
+      repaired = repaired.slice(0, -1).trimEnd();
+      changed = true;
+      continue;
+    }
+
+    if (repaired.endsWith(':')) {
+      // Key without a value: drop the colon and the key
+      repaired = repaired.slice(0, -1).trimEnd();
+      const keyStart = repaired.lastIndexOf('"', repaired.length - 2);
+      if (keyStart >= 0) repaired = repaired.substring(0, keyStart).trimEnd();
+      applied.add('dropped_incomplete_member');
+      changed = true;
+      continue;
+    }
+
+    if (container === '{' && repaired.endsWith('"')) {
+      // A string directly after '{' or ',' in an object is a key without a value
+      const keyStart = repaired.lastIndexOf('"', repaired.length - 2);
+      const before = lastSignificantChar(repaired.substring(0, keyStart));
+      if (keyStart >= 0 && (before === '{' || before === ',')) {
+        repaired = repaired.substring(0, keyStart).trimEnd();
+        applied.add('dropped_incomplete_member');
+        changed = true;
+        continue;
+      }
+    }
+
+    const partialScalar = repaired.match(/(-?\d+\.?\d*[eE][-+]?|-?\d+\.|-|\b(?:t|tr|tru|f|fa|fal|fals|n|nu|nul))$/);
+    if (partialScalar && partialScalar[0]) {
+      repaired = repaired.slice(0, -partialScalar[0].length).trimEnd();
+      applied.add('dropped_incomplete_member');
+      changed = true;
+    }
+  }
+
+  return repaired;
+}
+
+function closeOpenContainers(text, stack, applied) {
+  let repaired = text;
+  let arrays = 0;
+  let objects = 0;
+
+  for (let i = stack.length - 1; i >= 0; i--) {
+    repaired += CLOSING_PAIRS[stack[i]];
+    if (stack[i] === '[') arrays++;
+    else objects++;
+  }
+
+  if (arrays > 0) applied.add(`closed_unterminated_arrays:${arrays}`);
+  if (objects > 0) applied.add(`closed_unterminated_objects:${objects}`);
+  return repaired;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Repair JSON text without parsing it
+ * @param {string} rawText - Raw model output
+ * @returns {{ repaired: string, repairs: string[] }}
+ */
+function repairJSON(rawText) {
+  const applied = new Set();
+  let text = rawText.trim();
+
+  // Remove markdown code blocks
+  const withoutFences = text.replace(/```json\s*\n?/gi, '').replace(/```\s*\n?/g, '').trim();
+  if (withoutFences !== text) {
+    applied.add('stripped_markdown_fences');
+    text = withoutFences;
+  }
+
+  // Find actual JSON start (objects take precedence over arrays)
+  const objectStart = text.indexOf('{');
+  const start = objectStart >= 0 ? objectStart : text.indexOf('[');
+  if (start > 0) {
+    applied.add('trimmed_leading_text');
+    text = text.substring(start);
+  }
+
+  const scan = scanAndRepair(text, applied);
+  let repaired = scan.output;
+
+  if (scan.inString) {
+    if (scan.escapeNext) repaired = repaired.slice(0, -1);
+    repaired += '"';
+    applied.add('closed_unterminated_string');
+  }
+
+  if (scan.stack.length > 0) {
+    repaired = dropIncompleteTail(repaired, scan.stack, applied);
+    repaired = closeOpenContainers(repaired, scan.stack, applied);
+  }
+
+  return { repaired, repairs: [...applied] };
+}
+
+/**
+ * Parse JSON from a model response, repairing it when necessary
+ * @param {string} rawText - Raw model output
+ * @returns {{ data: *, repairs: string[] }} - Parsed value and the repairs applied (empty when none were needed)
+ */
+function parseJSONWithRepair(rawText) {
+  if (!rawText || typeof rawText !== 'string') {
+    throw new Error('Invalid raw text provided');
+  }
+
+  try {
+    return { data: JSON.parse(rawText.trim()), repairs: [] };
+  } catch (error) {
+    // Fall through to repair
+  }
+
+  const { repaired, repairs } = repairJSON(rawText);
+  try {
+    return { data: JSON.parse(repaired), repairs };
+  } catch (error) {
+    const applied = repairs.length > 0 ? ` (repairs tried: ${repairs.join(', ')})` : '';
+    throw new Error(`Failed to parse JSON after repair${applied}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  repairJSON,
+  parseJSONWithRepair
+};
@@ -0,0 +1,325 @@
+/**
+ * Pluggable LLM provider layer
+ *
+ * Handlers ask this module for a generative model instead of calling Vertex AI
+ * directly. Every provider returns a model whose generateContent() accepts the
+ * Vertex AI request shape and resolves to the Vertex AI response shape, so the
+ * handlers do not care which backend actually served the call.
+ *
+ * Providers (selected with LLM_PROVIDER):
+ * - vertex: Vertex AI Gemini (default)
+ * - openai: Any OpenAI-compatible chat completions endpoint
+ * - stub:   Deterministic local responses for running the pipeline offline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { vertexAI, downloadFileFromGCS, recordLLMUsage } = require('./utils');
+
+const DEFAULT_PROVIDER = 'vertex';
+
+// ============================================================================
+// VERTEX AI PROVIDER
+// ============================================================================
+
+function createVertexProvider() {
+  return {
+    name: 'vertex',
+    defaultModel: 'gemini-2.5-flash',
+
+    getGenerativeModel({ model, tools, generationConfig }) {
+      const generativeModel = vertexAI.getGenerativeModel({
+        model,
+        ...(tools ? { tools } : {}),
+        ...(generationConfig ? { generationConfig } : {})
+      });
+
+      return {
+        provider: 'vertex',
+        modelName: model,
+        generateContent: (request) => generativeModel.generateContent(request)
+      };
+    }
+  };
+}
+
+// ============================================================================
+// OPENAI-COMPATIBLE PROVIDER
+// ============================================================================
+
+const OPENAI_FINISH_REASONS = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY'
+};
+
+/**
+ * Convert a Vertex AI content part into OpenAI chat content parts.
+ * Text files are inlined; PDFs are sent as base64 file parts.
+ */
+async function toOpenAIContentPart(part) {
+  if (part.text !== undefined) {
+    return { type: 'text', text: part.text };
+  }
+
+  if (part.fileData) {
+    const { fileUri, mimeType } = part.fileData;
+    const fileContent = await downloadFileFromGCS(fileUri);
+
+    if (mimeType === 'text/plain') {
+      return { type: 'text', text: fileContent.toString('utf-8') };
+    }
+
+    return {
+      type: 'file',
+      file: {
+        filename: fileUri.split('/').pop(),
+        file_data: `data:${mimeType};base64,${fileContent.toString('base64')}`
+      }
+    };
+  }
+
+  throw new Error('Unsupported content part for OpenAI-compatible provider');
+}
+
+function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  return {
+    name: 'openai',
+    defaultModel: 'gpt-4o-mini',
+
+    getGenerativeModel({ model, tools, generationConfig }) {
+      if (tools && tools.length > 0) {
+        console.log('   ⚠️  Retrieval tools are not supported by the OpenAI-compatible provider, ignoring');
+      }
+
+      return {
+        provider: 'openai',
+        modelName: model,
+        generateContent: async (request) => {
+          const messages = [];
+          for (const content of request.contents) {
+            messages.push({
+              role: content.role === 'model' ? 'assistant' : 'user',
+              content: await Promise.all(content.parts.map(toOpenAIContentPart))
+            });
+          }
+
+          const body = { model, messages };
+          if (generationConfig?.maxOutputTokens) body.max_tokens = generationConfig.maxOutputTokens;
+          if (generationConfig?.temperature !== undefined) body.temperature = generationConfig.temperature;
+
+          const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify(body)
+          });
+
+          if (!response.ok) {
+            const error = new Error(`OpenAI-compatible request failed (${response.status}): ${await response.text()}`);
+            error.status = response.status;
+            throw error;
+          }
+
+          const data = await response.json();
+          const usage = data.usage || {};
+          // completion_tokens includes the reasoning tokens, which Vertex AI reports separately
+          const reasoningTokens = usage.completion_tokens_details?.reasoning_tokens || 0;
+
+          // Map onto the Vertex AI response shape
+          return {
+            response: {
+              candidates: (data.choices || []).map(choice => ({
+                content: { role: 'model', parts: [{ text: choice.message?.content || '' }] },
+                finishReason: OPENAI_FINISH_REASONS[choice.finish_reason] || 'OTHER'
+              })),
+              usageMetadata: {
+                promptTokenCount: usage.prompt_tokens || 0,
+                candidatesTokenCount: Math.max(0, (usage.completion_tokens || 0) - reasoningTokens),
+                totalTokenCount: usage.total_tokens || 0,
+                thoughtsTokenCount: reasoningTokens,
+                cachedContentTokenCount: usage.prompt_tokens_details?.cached_tokens || 0
+              }
+            }
+          };
+        }
+      };
+    }
+  };
+}
+
+// ============================================================================
+// STUB PROVIDER
+// ============================================================================
+
+// Minimal valid responses used when no fixture file is configured
+const STUB_DEFAULT_RESPONSES = {
+  processEvaluation: { students: [{ questions: [], overallFeedback: {}, overallRubrics: {} }] },
+  processMarkingSchemeExtraction: {
+    examTitle: 'Stub Question Paper',
+    totalMarks: 1,
+    sections: [{
+      sectionName: 'Section A',
+      sectionTotalMarks: 1,
+      questions: [{
+        questionNumber: '1',
+        questionText: 'Stub question',
+        questionType: 'SA',
+        marks: 1,
+        options: [],
+        correctOption: '',
+        correctAnswer: '',
+        valuePoints: [
+          { step_id: 1, description: 'Stub step 1', expected_ocr_match: '', marks: 0.5 },
+          { step_id: 2, description: 'Stub step 2', expected_ocr_match: '', marks: 0.5 }
+        ],
+        stepMarks: [0.5, 0.5]
+      }]
+    }]
+  },
+  processSimpleEvaluation: { questions: [], grandTotal: 0 }
+};
+
+/**
+ * Load the stub response for a function.
+ * Looks for <functionName>.json in LLM_STUB_FIXTURES_DIR first.
+ */
+function loadStubResponse(functionName) {
+  const fixturesDir = process.env.LLM_STUB_FIXTURES_DIR;
+  if (fixturesDir) {
+    const fixturePath = path.join(fixturesDir, `${functionName}.json`);
+    if (fs.existsSync(fixturePath)) {
+      return fs.readFileSync(fixturePath, 'utf-8');
+    }
+  }
+  return JSON.stringify(STUB_DEFAULT_RESPONSES[functionName] || {});
+}
+
+function createStubProvider() {
+  return {
+    name: 'stub',
+    defaultModel: 'stub',
+
+    getGenerativeModel({ model, functionName }) {
+      return {
+        provider: 'stub',
+        modelName: model,
+        generateContent: async (request) => {
+          const text = loadStubResponse(functionName);
+          const promptLength = request.contents
+            .flatMap(content => content.parts)
+            .reduce((sum, part) => sum + (part.text?.length || 0), 0);
+
+          // Rough 4-characters-per-token estimate keeps token accounting deterministic
+          const promptTokenCount = Math.ceil(promptLength / 4);
+          const candidatesTokenCount = Math.ceil(text.length / 4);
+
+          return {
+            response: {
+              candidates: [{
+                content: { role: 'model', parts: [{ text }] },
+                finishReason: 'STOP'
+              }],
+              usageMetadata: {
+                promptTokenCount,
+                candidatesTokenCount,
+                totalTokenCount: promptTokenCount + candidatesTokenCount
+              }
+            }
+          };
+        }
+      };
+    }
+  };
+}
+
+// ============================================================================
+// PROVIDER REGISTRY
+// ============================================================================
+
+const providerFactories = {
+  vertex: createVertexProvider,
+  openai: createOpenAICompatibleProvider,
+  stub: createStubProvider
+};
+
+const providerCache = {};
+
+/**
+ * Register an additional provider factory
+ * @param {string} name - Provider name used in LLM_PROVIDER
+ * @param {Function} factory - Returns { name, defaultModel, getGenerativeModel }
+ */
+function registerLLMProvider(name, factory) {
+  providerFactories[name] = factory;
+  delete providerCache[name];
+}
+
+/**
+ * Get a provider by name (defaults to LLM_PROVIDER, then Vertex AI)
+ */
+function getLLMProvider(name) {
+  const providerName = name || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+  const factory = providerFactories[providerName];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+
+  if (!providerCache[providerName]) {
+    providerCache[providerName] = factory();
+  }
+  return providerCache[providerName];
+}
+
+/**
+ * Get a generative model from the configured provider
+ * @param {Object} options
+ * @param {string} options.functionName - Calling Cloud Function (used by the stub provider)
+ * @param {string} [options.provider] - Provider name override
+ * @param {string} [options.model] - Model override (defaults to LLM_MODEL, then the provider default)
+ * @param {Array} [options.tools] - Vertex AI tools (retrieval)
+ * @param {Object} [options.generationConfig] - Generation config
+ * @param {Object} [options.usage] - { tenantId, examId, runId, studentId }; every call is recorded in the usage ledger
+ * @returns {{ provider: string, modelName: string, generationConfig: Object, generateContent: Function }}
+ */
+function getGenerativeModel({ functionName, provider, model, tools, generationConfig, usage } = {}) {
+  const llmProvider = getLLMProvider(provider);
+  const modelName = model || process.env.LLM_MODEL || llmProvider.defaultModel;
+
+  console.log(`   🤖 LLM provider: ${llmProvider.name}, model: ${modelName}`);
+
+  const generativeModel = {
+    // Recorded with every result so the call can be reproduced
+    generationConfig: generationConfig || {},
+    ...llmProvider.getGenerativeModel({ functionName, model: modelName, tools, generationConfig })
+  };
+  if (!usage?.tenantId) {
+    return generativeModel;
+  }
+
+  return {
+    ...generativeModel,
+    generateContent: async (request) => {
+      const result = await generativeModel.generateContent(request);
+      await recordLLMUsage({
+        ...usage,
+        functionName,
+        provider: generativeModel.provider,
+        model: generativeModel.modelName,
+        usageMetadata: result?.response?.usageMetadata
+      });
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  getGenerativeModel,
+  getLLMProvider,
+  registerLLMProvider
+};
@@ -0,0 +1,217 @@
+/**
+ * Marking scheme consistency validator
+ *
+ * Checks an extracted marking scheme for the arithmetic and structural
+ * mistakes the model makes (totals that do not add up, duplicate question
+ * numbers, MCQs without an answer key, value points that break the 2N rule).
+ * Issues are saved on the MarkingScheme and QuestionPaper drafts for review.
+ * Section and overall totals count each internal choice group once.
+ */
+
+const { normalizeChoiceGroups, totalMarksWithChoiceGroups } = require('./choiceGroups');
+const { normalizeOptionLabel, parseCorrectOptions } = require('./mcqScoring');
+
+// Marks per value point demanded by the extraction prompt
+const VALUE_POINT_MARKS = 0.5;
+
+// Tolerance for floating point sums
+const EPSILON = 1e-6;
+
+const sumOf = (values) => values.reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+const differs = (a, b) => Math.abs(a - b) > EPSILON;
+const isMCQ = (question) => String(question.questionType || '').trim().toUpperCase() === 'MCQ';
+
+function createIssue(code, severity, message, details = {}) {
+  return {
+    code,
+    severity,
+    message,
+    sectionName: details.sectionName ?? null,
+    questionNumber: details.questionNumber ?? null,
+    expected: details.expected ?? null,
+    actual: details.actual ?? null
+  };
+}
+
+// ============================================================================
+// QUESTION CHECKS
+// ============================================================================
+
+function validateMCQ(question, context, issues) {
+  // Cancelled questions are scored without an answer key
+  if (question.cancelled === true) return;
+
+  const correctOptions = parseCorrectOptions(question);
+  if (correctOptions.length === 0) {
+    issues.push(createIssue('mcq_missing_correct_option', 'error',
+      `MCQ ${question.questionNumber} has no correctOption`, context));
+    return;
+  }
+
+  // Extraction output names the label `option`, the MarkingScheme model `label`
+  const labels = (question.options || [])
+    .map(option => normalizeOptionLabel(option.option || option.label))
+    .filter(Boolean);
+  const unknown = correctOptions.filter(option => !labels.includes(option));
+  if (labels.length > 0 && unknown.length > 0) {
+    issues.push(createIssue('mcq_correct_option_not_in_options', 'error',
+      `MCQ ${question.questionNumber} correctOption "${question.correctOption}" is not one of its options`,
+      { ...context, expected: labels.join(', '), actual: unknown.join(', ') }));
+  }
+}
+
+function validateValuePoints(question, context, issues) {
+  const marks = parseFloat(question.marks) || 0;
+  const valuePoints = question.valuePoints || [];
+
+  if (valuePoints.length === 0) {
+    issues.push(createIssue('missing_value_points', 'error',
+      `Question ${question.questionNumber} has no value points`, context));
+    return;
+  }
+
+  const valuePointTotal = sumOf(valuePoints.map(vp => vp.marks));
+  if (differs(valuePointTotal, marks)) {
+    issues.push(createIssue('value_points_sum_mismatch', 'error',
+      `Value points of question ${question.questionNumber} add up to ${valuePointTotal}, not ${marks}`,
+      { ...context, expected: marks, actual: valuePointTotal }));
+  }
+
+  // 2N rule: a question worth N marks has 2N value points of 0.5 each
+  const expectedCount = Math.round(marks / VALUE_POINT_MARKS);
+  if (valuePoints.length !== expectedCount) {
+    issues.push(createIssue('value_points_count_mismatch', 'warning',
+      `Question ${question.questionNumber} (${marks} marks) has ${valuePoints.length} value points, expected ${expectedCount}`,
+      { ...context, expected: expectedCount, actual: valuePoints.length }));
+  }
+
+  const offSizePoints = valuePoints.filter(vp => differs(parseFloat(vp.marks) || 0, VALUE_POINT_MARKS));
+  if (offSizePoints.length > 0) {
+    issues.push(createIssue('value_point_marks_not_half', 'warning',
+      `Question ${question.questionNumber} has ${offSizePoints.length} value point(s) not worth ${VALUE_POINT_MARKS}`,
+      { ...context, expected: VALUE_POINT_MARKS, actual: offSizePoints.map(vp => vp.marks).join(', ') }));
+  }
+
+  if (question.stepMarks && question.stepMarks.length > 0 && differs(sumOf(question.stepMarks), marks)) {
+    issues.push(createIssue('step_marks_mismatch', 'warning',
+      `stepMarks of question ${question.questionNumber} add up to ${sumOf(question.stepMarks)}, not ${marks}`,
+      { ...context, expected: marks, actual: sumOf(question.stepMarks) }));
+  }
+}
+
+function validateQuestion(question, sectionName, issues) {
+  const context = { sectionName, questionNumber: question.questionNumber };
+
+  if (!question.questionNumber || !String(question.questionNumber).trim()) {
+    issues.push(createIssue('missing_question_number', 'error', `A question in ${sectionName} has no questionNumber`, context));
+  }
+
+  const marks = parseFloat(question.marks);
+  if (!(marks > 0)) {
+    issues.push(createIssue('invalid_question_marks', 'error',
+      `Question ${question.questionNumber} has invalid marks: ${question.marks}`, { ...context, actual: question.marks }));
+    return;
+  }
+
+  if (isMCQ(question)) {
+    validateMCQ(question, context, issues);
+  } else {
+    validateValuePoints(question, context, issues);
+  }
+}
+
+// ============================================================================
+// CHOICE GROUP CHECKS
+// ============================================================================
+
+function validateChoiceGroups(markingScheme, choiceGroups, issues) {
+  const validGroupIds = new Set(choiceGroups.map(group => group.groupId));
+
+  (markingScheme?.choiceGroups || []).forEach((group, index) => {
+    const groupId = String(group.groupId ?? index + 1);
+    if (!validGroupIds.has(groupId)) {
+      issues.push(createIssue('choice_group_invalid', 'warning',
+        `Choice group ${groupId} does not name at least two known questions and is ignored`,
+        { actual: (group.questionNumbers || []).join(', ') }));
+    }
+  });
+
+  const marksByQuestion = new Map();
+  (markingScheme?.sections || []).forEach(section => {
+    (section.questions || []).forEach(q => marksByQuestion.set(String(q.questionNumber).trim().toLowerCase(), parseFloat(q.marks) || 0));
+  });
+
+  choiceGroups.forEach(group => {
+    const memberMarks = group.questionNumbers.map(qn => marksByQuestion.get(String(qn).trim().toLowerCase()));
+    if (new Set(memberMarks).size > 1) {
+      issues.push(createIssue('choice_group_marks_differ', 'warning',
+        `Alternatives of choice group ${group.groupId} carry different marks (${memberMarks.join(', ')})`,
+        { sectionName: group.sectionName, expected: group.marks, actual: memberMarks.join(', ') }));
+    }
+  });
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Validate an extracted marking scheme
+ * @param {Object} markingScheme - { totalMarks, sections: [{ sectionName, sectionTotalMarks, questions }] }
+ * @returns {{ valid: boolean, issues: Array, errorCount: number, warningCount: number }}
+ *          valid is false when any issue has severity 'error'
+ */
+function validateMarkingScheme(markingScheme) {
+  const issues = [];
+  const sections = markingScheme?.sections || [];
+  const seenQuestionNumbers = new Map();
+  const choiceGroups = normalizeChoiceGroups(markingScheme);
+
+  sections.forEach(section => {
+    const sectionName = section.sectionName || 'Unnamed section';
+    const questions = section.questions || [];
+
+    questions.forEach(question => {
+      validateQuestion(question, sectionName, issues);
+
+      const key = String(question.questionNumber || '').trim().toLowerCase();
+      if (!key) return;
+      if (seenQuestionNumbers.has(key)) {
+        issues.push(createIssue('duplicate_question_number', 'error',
+          `Question number ${question.questionNumber} in ${sectionName} was already used in ${seenQuestionNumbers.get(key)}`,
+          { sectionName, questionNumber: question.questionNumber }));
+      } else {
+        seenQuestionNumbers.set(key, sectionName);
+      }
+    });
+
+    const questionTotal = totalMarksWithChoiceGroups(questions, choiceGroups);
+    if (section.sectionTotalMarks !== undefined && section.sectionTotalMarks !== null && differs(questionTotal, section.sectionTotalMarks)) {
+      issues.push(createIssue('section_total_mismatch', 'error',
+        `Questions of ${sectionName} add up to ${questionTotal}, but sectionTotalMarks is ${section.sectionTotalMarks}`,
+        { sectionName, expected: section.sectionTotalMarks, actual: questionTotal }));
+    }
+  });
+
+  validateChoiceGroups(markingScheme, choiceGroups, issues);
+
+  // Prefer the stated section totals so a section mismatch is not reported twice
+  const sectionsTotal = sumOf(sections.map(section => section.sectionTotalMarks ?? totalMarksWithChoiceGroups(section.questions || [], choiceGroups)));
+  if (markingScheme?.totalMarks !== undefined && differs(sectionsTotal, parseFloat(markingScheme.totalMarks) || 0)) {
+    issues.push(createIssue('total_marks_mismatch', 'error',
+      `Sections add up to ${sectionsTotal}, but totalMarks is ${markingScheme.totalMarks}`,
+      { expected: markingScheme.totalMarks, actual: sectionsTotal }));
+  }
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  return {
+    valid: errorCount === 0,
+    issues,
+    errorCount,
+    warningCount: issues.length - errorCount
+  };
+}
+
+module.exports = {
+  validateMarkingScheme
+};
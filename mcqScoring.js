@@ -0,0 +1,171 @@
+/**
+ * Deterministic MCQ scoring
+ *
+ * The evaluator only reports which option(s) a student marked for each MCQ;
+ * marks are computed here against the marking scheme's answer key so the
+ * model never decides an MCQ score itself.
+ *
+ * Answer key fields of a scheme question:
+ * - correctOption:  "B", or several accepted options ("A, C", "A or C")
+ * - correctOptions: explicit list of accepted options (takes precedence)
+ * - cancelled:      question cancelled by the board
+ * - cancelledAward: 'all' (everyone gets full marks, default) or 'attempted'
+ */
+
+const normalizeQuestionNumber = (questionNumber) => String(questionNumber ?? '').trim().toLowerCase();
+const isMCQ = (question) => String(question?.questionType || '').trim().toUpperCase() === 'MCQ';
+
+// Answers such as "(b)", "B.", "Option B" or "b) 42" all mean option B
+function normalizeOptionLabel(value) {
+  const text = String(value ?? '').trim().replace(/^option\s+/i, '');
+  const match = text.match(/^\(?([A-Za-z0-9]{1,3})\)?(?:[.):\s]|$)/);
+  return match ? match[1].toUpperCase() : '';
+}
+
+const NO_ANSWER = new Set(['', 'NONE', 'NULL', 'N/A', 'NA', '-']);
+
+// ============================================================================
+// ANSWER KEY
+// ============================================================================
+
+/**
+ * Accepted options of a scheme question
+ * @returns {string[]} - Upper-case option labels (empty when the key is missing)
+ */
+function parseCorrectOptions(question) {
+  const values = Array.isArray(question?.correctOptions) && question.correctOptions.length > 0
+    ? question.correctOptions
+    : String(question?.correctOption ?? '').split(/\s*(?:,|\/|&|;|\bor\b|\band\b)\s*/i);
+
+  return [...new Set(values.map(normalizeOptionLabel).filter(Boolean))];
+}
+
+/**
+ * Build the MCQ answer key of a marking scheme
+ * @param {Object} markingScheme - { sections: [{ questions }] } (extracted JSON or MarkingScheme document)
+ * @returns {Map<string, { questionNumber, maxMarks, correctOptions, cancelled, cancelledAward }>}
+ *          keyed by normalized question number
+ */
+function buildMCQAnswerKey(markingScheme) {
+  const answerKey = new Map();
+  (markingScheme?.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => {
+      if (!isMCQ(question)) return;
+      answerKey.set(normalizeQuestionNumber(question.questionNumber), {
+        questionNumber: question.questionNumber,
+        maxMarks: parseFloat(question.marks) || 0,
+        correctOptions: parseCorrectOptions(question),
+        cancelled: question.cancelled === true,
+        cancelledAward: question.cancelledAward === 'attempted' ? 'attempted' : 'all'
+      });
+    });
+  });
+  return answerKey;
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Options the student marked, as reported by the evaluator
+ * @param {string|string[]|null} selectedOption
+ * @returns {string[]}
+ */
+function parseSelectedOptions(selectedOption) {
+  const values = Array.isArray(selectedOption)
+    ? selectedOption
+    : String(selectedOption ?? '').split(/\s*(?:,|\/|&|;|\band\b)\s*/i);
+
+  return [...new Set(values
+    .filter(value => !NO_ANSWER.has(String(value ?? '').trim().toUpperCase()))
+    .map(normalizeOptionLabel)
+    .filter(Boolean))];
+}
+
+/**
+ * Score one MCQ against its answer key entry
+ * Full marks when exactly one option was marked and it is accepted; marking
+ * several options scores zero. Cancelled questions award full marks to everyone,
+ * or only to students who attempted them.
+ * @returns {{ marksAwarded: number, outcome: string, selectedOptions: string[] }}
+ *          outcome: correct | incorrect | unanswered | multiple_selected | cancelled | no_answer_key
+ */
+function scoreMCQ(keyEntry, selectedOption) {
+  const selectedOptions = parseSelectedOptions(selectedOption);
+  const attempted = selectedOptions.length > 0;
+
+  if (keyEntry.cancelled) {
+    const awarded = keyEntry.cancelledAward === 'all' || attempted;
+    return { marksAwarded: awarded ? keyEntry.maxMarks : 0, outcome: 'cancelled', selectedOptions };
+  }
+  if (keyEntry.correctOptions.length === 0) {
+    return { marksAwarded: 0, outcome: 'no_answer_key', selectedOptions };
+  }
+  if (!attempted) {
+    return { marksAwarded: 0, outcome: 'unanswered', selectedOptions };
+  }
+  if (selectedOptions.length > 1) {
+    return { marksAwarded: 0, outcome: 'multiple_selected', selectedOptions };
+  }
+
+  const correct = keyEntry.correctOptions.includes(selectedOptions[0]);
+  return { marksAwarded: correct ? keyEntry.maxMarks : 0, outcome: correct ? 'correct' : 'incorrect', selectedOptions };
+}
+
+/**
+ * Replace the evaluator's marks for every MCQ with marks computed from the answer key
+ * Non-MCQ questions are returned unchanged.
+ * @param {Array} questions - Evaluated questions with questionNumber and selectedOption
+ * @param {Map} answerKey - From buildMCQAnswerKey
+ * @returns {{ questions: Array, scoredCount: number, overriddenCount: number }}
+ *          overriddenCount: MCQs where the evaluator's own marks differed from the key
+ */
+function applyMCQScoring(questions = [], answerKey = new Map()) {
+  let scoredCount = 0;
+  let overriddenCount = 0;
+
+  const scoredQuestions = questions.map(question => {
+    const keyEntry = answerKey.get(normalizeQuestionNumber(question.questionNumber));
+    if (!keyEntry) return question;
+
+    const { marksAwarded, outcome, selectedOptions } = scoreMCQ(keyEntry, question.selectedOption);
+    scoredCount++;
+
+    const reportedMarks = parseFloat(question.marksAwarded);
+    if (question.scoredBy !== 'answer_key' && !Number.isNaN(reportedMarks) && reportedMarks !== marksAwarded) {
+      overriddenCount++;
+    }
+
+    const reason = outcome === 'cancelled'
+      ? 'Question cancelled by the board'
+      : `Selected ${selectedOptions.join(', ') || 'no option'}; answer key: ${keyEntry.correctOptions.join(' or ') || 'missing'}`;
+
+    return {
+      ...question,
+      questionType: 'MCQ',
+      maxMarks: keyEntry.maxMarks,
+      marksAwarded,
+      awarded_marks: marksAwarded,
+      out_of: keyEntry.maxMarks,
+      attempted: selectedOptions.length > 0,
+      selectedOptions,
+      correctOptions: keyEntry.correctOptions,
+      mcqOutcome: outcome,
+      scoredBy: 'answer_key',
+      reasonForMarksAllocation: reason,
+      why_marks_awarded: [reason]
+    };
+  });
+
+  return { questions: scoredQuestions, scoredCount, overriddenCount };
+}
+
+module.exports = {
+  normalizeOptionLabel,
+  parseCorrectOptions,
+  buildMCQAnswerKey,
+  parseSelectedOptions,
+  scoreMCQ,
+  applyMCQScoring
+};
@@ -0,0 +1,121 @@
+/**
+ * Model selection
+ *
+ * Every LLM call runs on an ordered chain of models: the first is used, and
+ * when retryWithBackoff gives up on overload or quota errors the call is
+ * retried on the next one. The chain comes from, in order:
+ * - the request: payload.models (the whole chain) or payload.model (first model)
+ * - the tenant's modelRules: the first rule matching the function and exam type
+ *   (e.g. gemini-2.5-pro for board exams, gemini-2.5-flash for class tests)
+ * - LLM_MODEL, then the provider's default model
+ *
+ * A single model (payload.model, LLM_MODEL) is followed by LLM_FALLBACK_MODELS;
+ * a list is used as given. Models are names, or 'provider:model' to run on
+ * another provider (e.g. 'openai:gpt-4o-mini').
+ */
+
+const { isRetryableLLMError } = require('./utils');
+const { getLLMProvider } = require('./llmProvider');
+
+const normalizeName = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Parse a model entry
+ * @param {string|Object} entry - 'gemini-2.5-pro', 'openai:gpt-4o-mini' or { provider, model }
+ * @returns {{ provider?: string, model?: string }}
+ */
+function parseModelSpec(entry) {
+  if (entry && typeof entry === 'object') {
+    return { provider: entry.provider || undefined, model: entry.model || undefined };
+  }
+  const value = String(entry || '').trim();
+  const separator = value.indexOf(':');
+  return separator > 0
+    ? { provider: value.slice(0, separator), model: value.slice(separator + 1) || undefined }
+    : { model: value || undefined };
+}
+
+const specKey = (spec) => `${spec.provider || ''}:${spec.model || ''}`;
+
+function parseModelList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map(parseModelSpec).filter(spec => spec.provider || spec.model);
+}
+
+/**
+ * Ordered models of a call
+ * @param {Object} options
+ * @param {string} options.functionName - Calling Cloud Function
+ * @param {Object} [options.request] - Payload (models, model, examTypeName or examMetadata.examTypeName)
+ * @param {Object} [options.tenantConfig] - Tenant config with modelRules (see getTenantConfig)
+ * @returns {Array<{ provider?: string, model: string }>} - Never empty; entries without a model get the provider default
+ */
+function resolveModelChain({ functionName, request = {}, tenantConfig } = {}) {
+  const fallbackModels = parseModelList(process.env.LLM_FALLBACK_MODELS);
+  const examTypeName = request.examTypeName || request.examMetadata?.examTypeName;
+
+  const rule = (tenantConfig?.modelRules || []).find(candidate =>
+    (!candidate.functionName || candidate.functionName === functionName) &&
+    (!candidate.examTypeName || normalizeName(candidate.examTypeName) === normalizeName(examTypeName)) &&
+    parseModelList(candidate.models).length > 0
+  );
+
+  let chain;
+  if (parseModelList(request.models).length > 0) {
+    chain = parseModelList(request.models);
+  } else if (request.model) {
+    chain = [parseModelSpec(request.model), ...fallbackModels];
+  } else if (rule) {
+    chain = parseModelList(rule.models);
+  } else {
+    chain = [parseModelSpec(process.env.LLM_MODEL), ...fallbackModels];
+  }
+
+  // The same model twice would only repeat the failure
+  const seen = new Set();
+  return chain
+    .map(spec => ({ ...spec, model: spec.model || getLLMProvider(spec.provider).defaultModel }))
+    .filter(spec => {
+      const key = specKey(spec);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Run a call on each model of the chain until one succeeds
+ * Only overload and quota errors move on to the next model; any other error is thrown.
+ * @param {Array} modelChain - From resolveModelChain
+ * @param {Function} runWithModel - async (modelSpec, index) => result, with its own retries
+ * @param {Object} [options] - { deadline: timestamp after which no further model is tried }
+ * @returns {Promise<*>} - Result of the first model that succeeded
+ * @throws {Error} - Error of the last model tried, with attempts summed over all models and modelsTried
+ *                   (deadlineReached when the deadline stopped the fallback)
+ */
+async function withModelFallback(modelChain, runWithModel, { deadline } = {}) {
+  const chain = modelChain.length > 0 ? modelChain : [{}];
+  let attempts = 0;
+
+  for (let index = 0; index < chain.length; index++) {
+    try {
+      return await runWithModel(chain[index], index);
+    } catch (error) {
+      attempts += error.attempts || 1;
+      const next = chain[index + 1];
+      if (next && deadline && Date.now() >= deadline) error.deadlineReached = true;
+      if (!next || !isRetryableLLMError(error) || error.deadlineReached) {
+        error.attempts = attempts;
+        error.modelsTried = chain.slice(0, index + 1).map(spec => spec.model);
+        throw error;
+      }
+      console.warn(`   ⚠️  ${chain[index].model} unavailable (${error.message}), falling back to ${next.model}`);
+    }
+  }
+}
+
+module.exports = {
+  parseModelSpec,
+  resolveModelChain,
+  withModelFallback
+};
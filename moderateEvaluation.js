@@ -0,0 +1,101 @@
+/**
+ * Google Cloud Function: Moderate Evaluation
+ *
+ * Lets a teacher override the marks of specific questions of a student's
+ * evaluation. Each override needs a reason; the student's totals, percentage,
+ * grade and pass/fail are recomputed, and every change is appended to the
+ * moderation audit log with the teacher, time and old and new marks.
+ */
+
+const {
+  connectToDatabase,
+  applyModeration,
+  refreshExamReviewStatus,
+  Evaluation
+} = require('./utils');
+
+// ============================================================================
+// CLOUD FUNCTION: MODERATE EVALUATION
+// ============================================================================
+exports.moderateEvaluation = async (req, res) => {
+  console.log('\n🚀 ============ MODERATION TRIGGERED ============');
+  console.log('   Timestamp:', new Date().toISOString());
+
+  try {
+    const payload = req.body;
+
+    console.log('\n📋 Payload received:');
+    console.log('   Tenant ID:', payload.tenantId || '❌ MISSING');
+    console.log('   Evaluation ID:', payload.evaluationId || '❌ MISSING');
+    console.log('   Moderated by:', payload.moderatedBy || '❌ MISSING');
+    console.log('   Overrides:', Array.isArray(payload.overrides) ? payload.overrides.length : '❌ MISSING');
+    console.log('===============================================\n');
+
+    // Validate payload
+    if (!payload.tenantId || !payload.evaluationId) {
+      throw new Error('Invalid payload: tenantId and evaluationId are required');
+    }
+    if (!payload.moderatedBy) {
+      throw new Error('Invalid payload: moderatedBy is required');
+    }
+    if (!Array.isArray(payload.overrides) || payload.overrides.length === 0) {
+      throw new Error('Invalid payload: overrides must be a non-empty array of { questionNumber, marksAwarded, reason }');
+    }
+    const questionNumbers = payload.overrides.map(override => String(override.questionNumber));
+    if (new Set(questionNumbers).size !== questionNumbers.length) {
+      throw new Error('Invalid payload: each question can be overridden only once per request');
+    }
+
+    await connectToDatabase();
+
+    const evaluation = await Evaluation.findOne({ _id: payload.evaluationId, tenantId: payload.tenantId });
+    if (!evaluation) {
+      throw new Error(`Evaluation not found: ${payload.evaluationId}`);
+    }
+
+    const { changes, totalsBefore, totalsAfter } = await applyModeration(evaluation, payload.overrides, {
+      moderatedBy: payload.moderatedBy
+    });
+
+    // Repeated request with marks already in place: acknowledge without writing
+    if (changes.length === 0) {
+      console.log('   ℹ️  Marks already match the overrides, nothing to moderate');
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Marks already match the overrides',
+        evaluationId: evaluation._id,
+        totals: totalsAfter
+      });
+    }
+
+    changes.forEach(change => {
+      console.log(`   ✏️  Question ${change.questionNumber}: ${change.oldValue} → ${change.newValue} (${change.reason})`);
+    });
+
+    // Overrides may have settled the exam's last pending review items
+    const examReview = await refreshExamReviewStatus({
+      examId: evaluation.examId,
+      tenantId: evaluation.tenantId,
+      evaluationLevel: evaluation.evaluationLevel,
+      updatedBy: payload.moderatedBy
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Moderated ${changes.length} question(s)`,
+      evaluationId: evaluation._id,
+      changes,
+      totalsBefore,
+      totalsAfter,
+      examStatus: examReview.status
+    });
+
+  } catch (error) {
+    console.error('❌ Error in moderateEvaluation:', error);
+    res.status(200).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,163 @@
+/**
+ * LLM pricing registry
+ *
+ * List prices in USD per 1M tokens, by model and the date they took effect.
+ * Entries are never edited: a price change is a new entry with a later
+ * effectiveFrom, so a call is always costed with the prices of its own date and
+ * costs stored before the change stay as they were. Every cost records the
+ * pricing version it was computed with.
+ *
+ * Token categories (Gemini usageMetadata):
+ * - input:       promptTokenCount (+ toolUsePromptTokenCount) not served from cache
+ * - cachedInput: cachedContentTokenCount (part of promptTokenCount)
+ * - output:      candidatesTokenCount
+ * - thinking:    thoughtsTokenCount (billed at the output price unless the entry says otherwise)
+ *
+ * Models with a long-context tier charge every token of a call at the tier's
+ * prices once the call's prompt exceeds the threshold.
+ */
+
+const PRICING_REGISTRY = {
+  'gemini-2.5-pro': [
+    {
+      effectiveFrom: '2025-06-17',
+      input: 1.25, cachedInput: 0.3125, output: 10,
+      longContext: { threshold: 200000, input: 2.5, cachedInput: 0.625, output: 15 }
+    }
+  ],
+  'gemini-2.5-flash': [
+    { effectiveFrom: '2025-04-17', input: 0.15, cachedInput: 0.0375, output: 0.6, thinking: 3.5 },
+    { effectiveFrom: '2025-06-17', input: 0.3, cachedInput: 0.075, output: 2.5 }
+  ],
+  'gemini-2.5-flash-lite': [
+    { effectiveFrom: '2025-07-22', input: 0.1, cachedInput: 0.025, output: 0.4 }
+  ],
+  'gemini-2.0-flash': [
+    { effectiveFrom: '2025-02-05', input: 0.15, cachedInput: 0.0375, output: 0.6 }
+  ],
+  // Prices used for every call before the registry existed
+  'gemini-1.5-flash': [
+    {
+      effectiveFrom: '2024-05-14',
+      input: 0.075, cachedInput: 0.01875, output: 0.3,
+      longContext: { threshold: 128000, input: 0.15, cachedInput: 0.0375, output: 0.6 }
+    }
+  ],
+  // Offline stub provider
+  stub: [
+    { effectiveFrom: '2000-01-01', input: 0, cachedInput: 0, output: 0 }
+  ]
+};
+
+// Prices of models missing from the registry (e.g. OpenAI-compatible endpoints)
+const FALLBACK_PRICING_MODEL = 'gemini-2.5-flash';
+
+const TOKEN_COUNT_FIELDS = ['promptTokens', 'cachedTokens', 'outputTokens', 'thinkingTokens', 'totalTokens'];
+const COST_FIELDS = ['inputCost', 'cachedInputCost', 'outputCost', 'thinkingCost', 'totalCost'];
+
+const warnedModels = new Set();
+
+// 'publishers/google/models/gemini-2.5-flash-001' → the longest registry key it starts with
+function findRegistryModel(model) {
+  const name = String(model || '').split('/').pop().toLowerCase();
+  return Object.keys(PRICING_REGISTRY)
+    .filter(key => name === key || name.startsWith(`${key}-`) || name.startsWith(`${key}@`))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Prices of a model on a date
+ * @param {string} model - Model name as used for the call
+ * @param {Date} [at] - Date of the call (default now)
+ * @returns {{ version: string, model: string, fallback: boolean, input, cachedInput, output, thinking?, longContext? }}
+ */
+function resolvePricing(model, at = new Date()) {
+  let registryModel = findRegistryModel(model);
+  const fallback = !registryModel;
+  if (fallback) {
+    registryModel = FALLBACK_PRICING_MODEL;
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`   ⚠️  No pricing for model ${model || '(unknown)'}, using ${FALLBACK_PRICING_MODEL} prices`);
+    }
+  }
+
+  const day = at.toISOString().slice(0, 10);
+  const entries = PRICING_REGISTRY[registryModel];
+  // Calls dated before the first entry use the earliest known prices
+  const entry = [...entries].reverse().find(e => e.effectiveFrom <= day) || entries[0];
+
+  return {
+    ...entry,
+    model: registryModel,
+    fallback,
+    version: `${registryModel}@${entry.effectiveFrom}`
+  };
+}
+
+function emptyTokenUsage() {
+  const usage = { pricingVersions: [] };
+  [...TOKEN_COUNT_FIELDS, ...COST_FIELDS].forEach(field => { usage[field] = 0; });
+  return usage;
+}
+
+/**
+ * Add one token usage to another (tokens, costs and pricing versions)
+ * @returns {Object} - New token usage
+ */
+function addTokenUsage(total, usage) {
+  const sum = { ...emptyTokenUsage(), ...(total || {}) };
+  [...TOKEN_COUNT_FIELDS, ...COST_FIELDS].forEach(field => {
+    sum[field] = (sum[field] || 0) + (usage?.[field] || 0);
+  });
+  sum.pricingVersions = [...new Set([...(sum.pricingVersions || []), ...(usage?.pricingVersions || [])])];
+  return sum;
+}
+
+function costOfCall(usageMetadata, pricing) {
+  const promptTokens = (usageMetadata.promptTokenCount || 0) + (usageMetadata.toolUsePromptTokenCount || 0);
+  const cachedTokens = Math.min(usageMetadata.cachedContentTokenCount || 0, promptTokens);
+  const outputTokens = usageMetadata.candidatesTokenCount || 0;
+  const thinkingTokens = usageMetadata.thoughtsTokenCount || 0;
+  const totalTokens = usageMetadata.totalTokenCount || promptTokens + outputTokens + thinkingTokens;
+
+  const tier = pricing.longContext && promptTokens > pricing.longContext.threshold
+    ? { ...pricing, ...pricing.longContext }
+    : pricing;
+
+  const inputCost = ((promptTokens - cachedTokens) / 1000000) * tier.input;
+  const cachedInputCost = (cachedTokens / 1000000) * (tier.cachedInput ?? tier.input);
+  const outputCost = (outputTokens / 1000000) * tier.output;
+  const thinkingCost = (thinkingTokens / 1000000) * (tier.thinking ?? tier.output);
+
+  return {
+    promptTokens, cachedTokens, outputTokens, thinkingTokens, totalTokens,
+    inputCost, cachedInputCost, outputCost, thinkingCost,
+    totalCost: inputCost + cachedInputCost + outputCost + thinkingCost,
+    pricingVersions: [pricing.version]
+  };
+}
+
+/**
+ * Calculate token cost
+ * @param {Object|Object[]} usageMetadata - Usage of one call, or of each call of a request
+ *                                          (per call, so long-context tiers apply per call)
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model that served the calls
+ * @param {Date} [options.at] - Date of the calls (default now)
+ * @returns {{ promptTokens, cachedTokens, outputTokens, thinkingTokens, totalTokens,
+ *             inputCost, cachedInputCost, outputCost, thinkingCost, totalCost, pricingVersions: string[] }}
+ */
+function calculateTokenCost(usageMetadata, { model, at = new Date() } = {}) {
+  const pricing = resolvePricing(model || process.env.LLM_MODEL, at);
+  const calls = Array.isArray(usageMetadata) ? usageMetadata : [usageMetadata || {}];
+  return calls.reduce((total, call) => addTokenUsage(total, costOfCall(call || {}, pricing)), emptyTokenUsage());
+}
+
+module.exports = {
+  PRICING_REGISTRY,
+  resolvePricing,
+  calculateTokenCost,
+  addTokenUsage,
+  emptyTokenUsage
+};
@@ -4,23 +4,60 @@
  * Evaluates student answer sheets using approved marking schemes
  */
 
+const crypto = require('crypto');
 const {
-  vertexAI,
   VERTEX_AI_DATA_SOURCE_ID,
   retryWithBackoff,
+  mapWithConcurrency,
+  mergeEvaluationResults,
   calculateTokenCost,
+  addTokenUsage,
   connectToDatabase,
   saveResultsToMongoDB,
-  handleSaveError
+  handleSaveError,
+  updateExamStatus,
+  checkTenantBudget,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  loadMarkingSchemeFromGCS,
+  getTenantConfig,
+  EvaluationRun
 } = require('./utils');
+const { getGenerativeModel } = require('./llmProvider');
+const { generateStructuredContent } = require('./structuredOutput');
+const { getTaskQueue } = require('./taskQueue');
+const { buildMCQAnswerKey, applyMCQScoring } = require('./mcqScoring');
+const { buildScoreLimits, reconcileQuestionScores } = require('./scoreReconciliation');
+const { resolveEnsembleConfig, evaluateWithEnsemble } = require('./ensemble');
+const { describeStudentFailure } = require('./evaluationFailures');
+const { parseModelSpec, resolveModelChain, withModelFallback } = require('./modelSelection');
+const { renderPrompt } = require('./promptTemplates');
+
+// Students evaluated in parallel when neither the payload nor EVALUATION_CONCURRENCY sets a limit
+const DEFAULT_EVALUATION_CONCURRENCY = 5;
+
+// Default value for database schema compatibility
+const DEFAULT_EVALUATION_LEVEL = 'medium';
+
+// Cloud Function timeout (must match --timeout in the deploy script)
+const DEFAULT_FUNCTION_TIMEOUT_SECONDS = 540;
+
+// Time kept in reserve for in-flight students and saving when deciding whether to start another student.
+// No retry or fallback model starts after the deadline, so the margin only has to cover one attempt
+// per in-flight student (a model call with its re-asks and continuations) plus the save.
+const DEFAULT_TIME_MARGIN_SECONDS = 150;
 
 // ============================================================================
 // CLOUD FUNCTION: PROCESS EVALUATION
 // ============================================================================
 exports.processEvaluation = async (req, res) => {
+  const startedAt = Date.now();
   console.log('\n🚀 ============ EVALUATION CLOUD FUNCTION TRIGGERED ============');
   console.log('   Timestamp:', new Date().toISOString());
   console.log('   Project:', process.env.GCP_PROJECT_ID);
+
+  let idempotencyKey = null;
   
   try {
     const payload = req.body;
@@ -31,6 +68,9 @@ exports.processEvaluation = async (req, res) => {
     console.log('   Question Paper URI:', payload.questionPaperUri || '❌ MISSING');
     console.log('   Marking Scheme URI:', payload.markingSchemeUri || '❌ MISSING');
     console.log('   Students:', payload.studentAnswerSheets?.length || '❌ MISSING');
+    if (payload.batchNumber) {
+      console.log('   Continuation batch:', payload.batchNumber, `(run ${payload.runId})`);
+    }
     console.log('===================================================\n');
 
     // Validate payload
@@ -59,56 +99,157 @@ exports.processEvaluation = async (req, res) => {
     // Connect to MongoDB
     await connectToDatabase();
 
+    // Detect redelivered or repeated requests before doing any work
+    payload.runId = resolveRunId(req, payload);
+    const deliveryKey = `processEvaluation:${payload.runId}:batch-${payload.batchNumber || 1}`;
+    const claim = await claimIdempotencyKey({
+      key: deliveryKey,
+      functionName: 'processEvaluation',
+      examId: payload.examId,
+      tenantId: payload.tenantId,
+      leaseSeconds: getFunctionTimeoutSeconds()
+    });
+
+    if (!claim.claimed) {
+      const completed = claim.record?.status === 'completed';
+      console.log(`   ℹ️  Duplicate delivery (${completed ? 'already processed' : 'still processing'}): ${deliveryKey}`);
+
+      // 409 while the first delivery is still running, so Cloud Tasks checks again later
+      return res.status(completed ? 200 : 409).json({
+        success: completed,
+        duplicate: true,
+        message: completed ? 'Duplicate delivery, already processed' : 'Duplicate delivery, still being processed',
+        examId: payload.examId,
+        runId: payload.runId
+      });
+    }
+    idempotencyKey = deliveryKey;
+
+    // Check the tenant's monthly budget once per run, before any model call
+    if (!payload.batchNumber) {
+      const budget = await checkTenantBudget({
+        tenantId: payload.tenantId,
+        functionName: 'processEvaluation',
+        calls: payload.studentAnswerSheets.length * (resolveEnsembleConfig(payload.ensemble)?.samples.length || 1),
+        payload,
+        requestedBy: payload.createdBy,
+        // Redeliveries of an approved request share its run id (from the task name)
+        consumerKey: payload.runId
+      });
+
+      if (!budget.allowed) {
+        if (budget.action === 'queued_for_approval') {
+          await updateExamStatus({
+            examId: payload.examId,
+            tenantId: payload.tenantId,
+            status: 'queued',
+            updatedBy: payload.createdBy || 'cloud-function',
+            note: `Awaiting budget approval ${budget.approvalId}`
+          });
+        } else {
+          await handleSaveError({ examId: payload.examId, tenantId: payload.tenantId, error: budget.message });
+        }
+
+        const responseBody = {
+          success: false,
+          budgetExceeded: true,
+          action: budget.action,
+          approvalId: budget.approvalId,
+          message: budget.message,
+          examId: payload.examId,
+          monthlySpend: budget.monthlySpend,
+          monthlyBudget: budget.monthlyBudget,
+          estimatedCost: budget.estimatedCost
+        };
+        await completeIdempotencyKey(idempotencyKey, responseBody);
+        return res.status(200).json(responseBody);
+      }
+    }
+
+    // Every batch (and a fanned-out run) evaluates until its results are saved
+    await updateExamStatus({
+      examId: payload.examId,
+      tenantId: payload.tenantId,
+      status: 'evaluating',
+      updatedBy: payload.createdBy || 'cloud-function',
+      note: payload.batchNumber ? `Batch ${payload.batchNumber} of run ${payload.runId}` : `Run ${payload.runId}`
+    });
+
+    // Very large exams: one task per student, aggregated once every student has reported
+    // (continuation batches of a sequential run stay sequential)
+    const fanOutThreshold = parseInt(process.env.FANOUT_STUDENT_THRESHOLD || '0', 10);
+    const isContinuationBatch = Boolean(payload.batchNumber);
+    if (!isContinuationBatch && (payload.mode === 'fanout' || (fanOutThreshold > 0 && payload.studentAnswerSheets.length >= fanOutThreshold))) {
+      const runId = await fanOutEvaluation(payload);
+      const responseBody = {
+        success: true,
+        message: 'Evaluation fanned out to per-student tasks',
+        mode: 'fanout',
+        examId: payload.examId,
+        runId,
+        totalStudents: payload.studentAnswerSheets.length
+      };
+      await completeIdempotencyKey(idempotencyKey, responseBody);
+      return res.status(200).json(responseBody);
+    }
+
     console.log('\n📋 Marking Scheme URI:', payload.markingSchemeUri);
     console.log('   Vertex AI will load the marking scheme directly from GCS');
 
-    // Process each student with Vertex AI
-    console.log('\n📤 Processing evaluations with Vertex AI...');
-    const allResults = {
-      students: {},
-      tokenUsage: { promptTokens: 0, outputTokens: 0, totalTokens: 0, totalCost: 0 },
-      rawResponse: ''
-    };
-    
-    for (const student of payload.studentAnswerSheets) {
+    // Process each student with the configured LLM provider
+    console.log('\n📤 Processing evaluations with LLM provider...');
+
+    // Evaluate students in parallel, bounded by the configured concurrency
+    const concurrency = parseInt(payload.concurrency || process.env.EVALUATION_CONCURRENCY || DEFAULT_EVALUATION_CONCURRENCY, 10);
+    console.log(`   Concurrency: ${concurrency}`);
+
+    // Stop starting students once the time budget runs low; the rest go to a continuation request
+    const deadline = getEvaluationDeadline(startedAt);
+    console.log(`   Time budget: ${Math.round((deadline - startedAt) / 1000)}s`);
+    const deferredStudents = new Set();
+    // By roster index, like the results, so failures are reported in roster order
+    const failuresByIndex = new Array(payload.studentAnswerSheets.length).fill(null);
+    let startedStudents = 0;
+
+    const studentResults = await mapWithConcurrency(payload.studentAnswerSheets, concurrency, async (student, index) => {
+      // Always start at least one student so every request makes progress
+      if (startedStudents > 0 && Date.now() >= deadline) {
+        deferredStudents.add(index);
+        return null;
+      }
+      startedStudents++;
+
       console.log(`\n   Processing: ${student.studentName} (Roll: ${student.rollNumber})`);
       
       try {
-        const result = await retryWithBackoff(() => 
-          generateStudentReportCardNewFormat(
-            student,
-            payload.questionPaperUri,
-            payload.markingSchemeUri,
-            payload.examMetadata
-          ),
-          3,
-          2000
-        );
-        
-        // Merge results
-        if (result.students) {
-          Object.assign(allResults.students, result.students);
-        }
-        
-        // Accumulate token usage
-        if (result.tokenUsage) {
-          allResults.tokenUsage.promptTokens += result.tokenUsage.promptTokens || 0;
-          allResults.tokenUsage.outputTokens += result.tokenUsage.outputTokens || 0;
-          allResults.tokenUsage.totalTokens += result.tokenUsage.totalTokens || 0;
-          allResults.tokenUsage.totalCost += result.tokenUsage.totalCost || 0;
-        }
-        
-        // Append raw response
-        if (result.rawResponse) {
-          allResults.rawResponse += (allResults.rawResponse ? '\n\n---\n\n' : '') + result.rawResponse;
-        }
-        
+        // A student started past the deadline (the first one) keeps all its retries, so it cannot be deferred forever
+        const result = await evaluateStudent(student, payload, { deadline: Date.now() < deadline ? deadline : undefined });
         console.log(`   ✅ Completed: ${student.studentName}`);
+        return result;
       } catch (error) {
+        // Out of time for another retry: the continuation request tries the student again
+        if (error.deadlineReached) {
+          console.log(`   ⏱️  Deferred: ${student.studentName} (${error.message})`);
+          deferredStudents.add(index);
+          return null;
+        }
         console.error(`   ❌ Failed for ${student.studentName}:`, error.message);
-        // Continue with next student
+        // Record the failure and continue with other students
+        failuresByIndex[index] = describeStudentFailure(getStudentKey(student), error);
+        return null;
       }
+    });
+
+    // Merge results in roster order so totals and raw responses are deterministic
+    const allResults = mergeEvaluationResults(studentResults);
+    const studentFailures = failuresByIndex.filter(Boolean);
+
+    // Token usage of earlier batches of this run, so the exam keeps the running total
+    if (payload.priorTokenUsage) {
+      allResults.tokenUsage = addTokenUsage(allResults.tokenUsage, payload.priorTokenUsage);
     }
+
+    const remainingStudents = payload.studentAnswerSheets.filter((student, index) => deferredStudents.has(index));
     
     console.log(`\n💰 Total Cost: $${(allResults.tokenUsage.totalCost || 0).toFixed(6)}`);
     console.log(`🎯 Students evaluated: ${Object.keys(allResults.students).length}/${payload.studentAnswerSheets.length}`);
@@ -118,29 +259,56 @@ exports.processEvaluation = async (req, res) => {
     await saveResultsToMongoDB({
       examId: payload.examId,
       tenantId: payload.tenantId,
-      evaluationLevel: 'medium', // Default value for database schema compatibility
+      evaluationLevel: DEFAULT_EVALUATION_LEVEL,
       results: allResults,
       createdBy: payload.createdBy || 'cloud-function',
-      rawResponse: allResults.rawResponse
+      rawResponse: allResults.rawResponse,
+      partial: remainingStudents.length > 0,
+      runId: payload.runId,
+      failures: studentFailures
     });
     console.log('✅ Results saved successfully');
 
+    if (remainingStudents.length > 0) {
+      const continuation = await enqueueContinuation(payload, remainingStudents, allResults.tokenUsage);
+
+      const responseBody = {
+        success: true,
+        message: 'Time budget reached, remaining students queued for continuation',
+        examId: payload.examId,
+        runId: continuation.runId,
+        nextBatchNumber: continuation.batchNumber,
+        studentsProcessed: Object.keys(allResults.students).length,
+        studentsRemaining: remainingStudents.length,
+        totalStudents: payload.studentAnswerSheets.length
+      };
+      await completeIdempotencyKey(idempotencyKey, responseBody);
+      return res.status(200).json(responseBody);
+    }
+
     // Respond to Cloud Tasks
-    res.status(200).json({
+    const responseBody = {
       success: true,
       message: 'Evaluation completed and saved to database',
       examId: payload.examId,
+      runId: payload.runId,
       studentsProcessed: Object.keys(allResults.students).length,
+      studentsFailed: studentFailures.length,
       totalStudents: payload.studentAnswerSheets.length
-    });
+    };
+    await completeIdempotencyKey(idempotencyKey, responseBody);
+    res.status(200).json(responseBody);
 
   } catch (error) {
     console.error('\n❌ Error processing evaluation:', error);
     console.error('   Stack:', error.stack);
     
-    // Save error status to MongoDB
+    // Save error status to MongoDB and release the claim so the run can be retried
     try {
       await connectToDatabase();
+      if (idempotencyKey) {
+        await releaseIdempotencyKey(idempotencyKey);
+      }
       await handleSaveError({
         examId: req.body?.examId,
         tenantId: req.body?.tenantId,
@@ -165,27 +333,284 @@ exports.processEvaluation = async (req, res) => {
 // ============================================================================
 
 /**
- * Generate report card for a single student using Vertex AI (new format)
+ * Key used for a student in results (studentId, falling back to the name)
+ */
+function getStudentKey(student) {
+  return student.studentId ? student.studentId.toString() : student.studentName;
+}
+
+/**
+ * Evaluate a single student with retries, falling back along the model chain (see modelSelection.js)
+ * @param {Object} [options] - { deadline: no retry or fallback model starts after it (error.deadlineReached) }
+ */
+async function evaluateStudent(student, payload, { deadline } = {}) {
+  const schemeScoring = await loadSchemeScoring(payload.markingSchemeUri);
+  const tenantConfig = payload.tenantId ? await getTenantConfig(payload.tenantId) : null;
+  const modelChain = resolveModelChain({ functionName: 'processEvaluation', request: payload, tenantConfig });
+
+  const evaluateSample = (sample = {}) => {
+    // Ensemble samples that name their own model run on that model only
+    const sampleChain = sample.provider || sample.model ? resolveModelChain({ request: { models: [parseModelSpec(sample)] } }) : modelChain;
+
+    return withModelFallback(sampleChain, (modelSpec) => retryWithBackoff(() => 
+      generateStudentReportCardNewFormat(
+        student,
+        payload.questionPaperUri,
+        payload.markingSchemeUri,
+        payload.examMetadata,
+        {
+          maxReasks: payload.maxReasks,
+          usage: { tenantId: payload.tenantId, examId: payload.examId, runId: payload.runId, studentId: getStudentKey(student) },
+          tenantConfig,
+          ...schemeScoring,
+          ...sample,
+          provider: modelSpec.provider,
+          model: modelSpec.model,
+          requestedModel: sampleChain[0].model
+        }
+      ),
+      3,
+      2000,
+      { deadline }
+    ), { deadline });
+  };
+
+  // High-stakes exams: several samples per student, median marks per question
+  const ensembleConfig = resolveEnsembleConfig(payload.ensemble);
+  return ensembleConfig ? evaluateWithEnsemble(evaluateSample, ensembleConfig) : evaluateSample();
+}
+
+// Answer keys and score limits by marking scheme URI, shared by the students of a run.
+// Bounded so a warm instance does not keep every scheme it ever loaded: the least recently
+// used entry goes first, and entries expire so a scheme edited at the same URI is reloaded.
+const SCHEME_SCORING_CACHE_SIZE = 20;
+const SCHEME_SCORING_CACHE_TTL_MS = 10 * 60 * 1000;
+const schemeScoringCache = new Map();
+
+/**
+ * Load the MCQ answer key and score limits from the marking scheme JSON the evaluator reads
+ * Without them (unreadable file) marks are only reconciled against the model's own
+ * maxMarks; saveResultsToMongoDB applies the approved marking scheme in any case.
+ * @returns {Promise<{ answerKey: Map|null, scoreLimits: Map|null }>}
+ */
+function loadSchemeScoring(markingSchemeUri) {
+  const cached = schemeScoringCache.get(markingSchemeUri);
+  if (cached && Date.now() - cached.loadedAt < SCHEME_SCORING_CACHE_TTL_MS) {
+    // Re-insert to mark the entry most recently used
+    schemeScoringCache.delete(markingSchemeUri);
+    schemeScoringCache.set(markingSchemeUri, cached);
+    return cached.schemeScoring;
+  }
+
+  const schemeScoring = loadMarkingSchemeFromGCS(markingSchemeUri)
+    .then(markingScheme => {
+      const answerKey = buildMCQAnswerKey(markingScheme);
+      console.log(`   🔑 MCQ answer key loaded: ${answerKey.size} question(s)`);
+      return { answerKey, scoreLimits: buildScoreLimits(markingScheme) };
+    })
+    .catch(error => {
+      console.warn(`   ⚠️  Marking scheme limits unavailable (${error.message})`);
+      if (schemeScoringCache.get(markingSchemeUri)?.schemeScoring === schemeScoring) {
+        schemeScoringCache.delete(markingSchemeUri);
+      }
+      return { answerKey: null, scoreLimits: null };
+    });
+
+  schemeScoringCache.delete(markingSchemeUri);
+  schemeScoringCache.set(markingSchemeUri, { schemeScoring, loadedAt: Date.now() });
+  while (schemeScoringCache.size > SCHEME_SCORING_CACHE_SIZE) {
+    schemeScoringCache.delete(schemeScoringCache.keys().next().value);
+  }
+  return schemeScoring;
+}
+
+/**
+ * Idempotency key of the exam run: payload.runId, else the Cloud Tasks task name
+ * (stable across redeliveries), else a new ID
+ */
+function resolveRunId(req, payload) {
+  if (payload.runId) return payload.runId;
+
+  const taskName = req.headers?.['x-cloudtasks-taskname'];
+  if (taskName) return taskName.split('/').pop().replace(/[^A-Za-z0-9_-]/g, '_');
+
+  return crypto.randomUUID();
+}
+
+function getFunctionTimeoutSeconds() {
+  return parseInt(process.env.FUNCTION_TIMEOUT_SECONDS || DEFAULT_FUNCTION_TIMEOUT_SECONDS, 10);
+}
+
+/**
+ * Time after which no new student, retry or fallback model is started in this invocation
+ * Budget: FUNCTION_TIMEOUT_SECONDS minus EVALUATION_TIME_MARGIN_SECONDS
+ */
+function getEvaluationDeadline(startedAt) {
+  const timeoutSeconds = getFunctionTimeoutSeconds();
+  const marginSeconds = parseInt(process.env.EVALUATION_TIME_MARGIN_SECONDS || DEFAULT_TIME_MARGIN_SECONDS, 10);
+  return startedAt + Math.max(0, timeoutSeconds - marginSeconds) * 1000;
+}
+
+/**
+ * Queue a processEvaluation request for the students this invocation had no time for.
+ * Batches of one run share a runId; the batch number keeps each task name unique.
+ */
+async function enqueueContinuation(payload, remainingStudents, tokenUsage) {
+  const runId = payload.runId;
+  const batchNumber = (payload.batchNumber || 1) + 1;
+
+  console.log(`\n⏱️  Time budget reached: queuing ${remainingStudents.length} remaining student(s) as batch ${batchNumber} of run ${runId}`);
+
+  await getTaskQueue().enqueue('processEvaluation', {
+    ...payload,
+    runId,
+    batchNumber,
+    studentAnswerSheets: remainingStudents,
+    priorTokenUsage: tokenUsage
+  }, { taskId: `${runId}-batch-${batchNumber}` });
+
+  return { runId, batchNumber };
+}
+
+/**
+ * Split the exam into one processStudentEvaluation task per student.
+ * The task that reports the last student queues aggregateEvaluationResults.
+ * @returns {Promise<string>} - Run ID shared by all tasks
+ */
+async function fanOutEvaluation(payload) {
+  const runId = payload.runId || crypto.randomUUID();
+  const studentIds = payload.studentAnswerSheets.map(getStudentKey);
+
+  console.log(`\n🔀 Fanning out ${studentIds.length} student(s), run ${runId}`);
+
+  // Upsert so a redelivered request reuses the existing run
+  await EvaluationRun.findOneAndUpdate(
+    { runId },
+    {
+      $setOnInsert: {
+        runId,
+        examId: payload.examId,
+        tenantId: payload.tenantId,
+        evaluationLevel: DEFAULT_EVALUATION_LEVEL,
+        mode: 'fanout',
+        studentIds,
+        reportedStudentIds: [],
+        status: 'running',
+        createdBy: payload.createdBy || 'cloud-function'
+      }
+    },
+    { upsert: true }
+  );
+
+  const taskQueue = getTaskQueue();
+  for (const student of payload.studentAnswerSheets) {
+    await taskQueue.enqueue('processStudentEvaluation', {
+      runId,
+      examId: payload.examId,
+      tenantId: payload.tenantId,
+      questionPaperUri: payload.questionPaperUri,
+      markingSchemeUri: payload.markingSchemeUri,
+      examMetadata: payload.examMetadata,
+      maxReasks: payload.maxReasks,
+      ensemble: payload.ensemble,
+      // Request-level model choice (see modelSelection.js)
+      model: payload.model,
+      models: payload.models,
+      createdBy: payload.createdBy,
+      student
+    }, { taskId: `${runId}-${getStudentKey(student).replace(/[^A-Za-z0-9_-]/g, '_')}` });
+  }
+
+  return runId;
+}
+
+/**
+ * Expected structure of the evaluation response
+ */
+const EVALUATION_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['students'],
+  properties: {
+    students: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['questions'],
+        properties: {
+          studentName: { type: 'string' },
+          rollNumber: { type: ['string', 'number'] },
+          questions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['questionNumber', 'marksAwarded'],
+              properties: {
+                questionNumber: { type: ['string', 'number'] },
+                section: { type: 'string' },
+                questionType: { type: 'string' },
+                maxMarks: { type: 'number', minimum: 0 },
+                marksAwarded: { type: 'number', minimum: 0 },
+                awarded_marks: { type: 'number', minimum: 0 },
+                out_of: { type: 'number', minimum: 0 },
+                why_marks_awarded: { type: 'array', items: { type: 'string' } },
+                deductions: { type: 'array', items: { type: 'object' } },
+                tiered_feedback: { type: 'object' },
+                value_points_matched: { type: 'array', items: { type: 'string' } },
+                value_points_awarded: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['step_id', 'marksAwarded'],
+                    properties: {
+                      step_id: { type: 'integer' },
+                      marksAwarded: { type: 'number' }
+                    }
+                  }
+                },
+                attempted: { type: 'boolean' },
+                selectedOption: { type: ['string', 'array', 'null'] },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                illegible: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Generate report card for a single student using the configured LLM (new format)
+ * @param {Object} options - { maxReasks } for structured output re-asks, { answerKey, scoreLimits } from the marking scheme,
+ *                           { provider, model, temperature } overrides of an ensemble sample, { usage } ledger context,
+ *                           { requestedModel } first model of the fallback chain, { tenantConfig } for prompt template overrides
  */
 async function generateStudentReportCardNewFormat(
   student,
   questionPaperUri,
   markingSchemeUri,
-  examMetadata
+  examMetadata,
+  options = {}
 ) {
   const subjectName = examMetadata.subjectName;
   const className = examMetadata.className;
   const examTypeName = examMetadata.examTypeName;
   
-  // Get Gemini 2.5 Flash model from Vertex AI with data source (retrieval) configuration
+  // Get the configured model with data source (retrieval) configuration
   const projectId = process.env.GCP_PROJECT_ID || 'slapp-478005';
   const location = 'global';
   const dataStoreName = `projects/${projectId}/locations/${location}/collections/default_collection/dataStores/${VERTEX_AI_DATA_SOURCE_ID}`;
   
   console.log('   🔍 Data Store Resource Name:', dataStoreName);
   
-  const generativeModel = vertexAI.getGenerativeModel({
-    model: 'gemini-2.5-flash',
+  const generativeModel = getGenerativeModel({
+    functionName: 'processEvaluation',
+    provider: options.provider,
+    model: options.model,
+    generationConfig: options.temperature !== undefined ? { temperature: options.temperature } : undefined,
+    usage: options.usage,
     tools: [{
       retrieval: {
         vertexAiSearch: {
@@ -213,18 +638,19 @@ async function generateStudentReportCardNewFormat(
   ];
 
   // Build prompt with strict marking scheme usage
-  const prompt = buildEvaluationPromptNewFormat(
+  const { prompt, provenance: promptProvenance } = buildEvaluationPromptNewFormat(
     student,
     subjectName,
     className,
-    examTypeName
+    examTypeName,
+    options.tenantConfig
   );
 
   console.log('   📝 Prompt length:', prompt.length, 'characters');
   console.log('   📎 Files attached:', fileParts.length, '(marking scheme + answer sheet)');
   console.log('   🔍 Data Source (Retrieval) enabled:', VERTEX_AI_DATA_SOURCE_ID);
 
-  // Call Vertex AI with data source retrieval enabled
+  // Call the model with data source retrieval enabled
   const startTime = Date.now();
   const request = {
     contents: [
@@ -245,162 +671,22 @@ async function generateStudentReportCardNewFormat(
     }]
   };
   
-  const result = await generativeModel.generateContent(request);
+  // Call the model and validate the output against the evaluation schema
+  const { data: evaluationData, rawResponse: rawResponseText, jsonRepairs, continuation, callUsageMetadata } = await generateStructuredContent({
+    generativeModel,
+    request,
+    schema: EVALUATION_RESPONSE_SCHEMA,
+    maxReasks: options.maxReasks
+  });
   const responseTime = Date.now() - startTime;
 
   console.log('   ⏱️  Response time:', responseTime, 'ms');
+  console.log('   📄 Response text preview (first 500 chars):', rawResponseText.substring(0, 500));
+  console.log('   📄 Response text length:', rawResponseText.length, 'characters');
+  console.log('   ✅ Successfully parsed JSON response');
 
-  const response = result.response;
-  const text = response.candidates[0].content.parts[0].text;
-
-  console.log('   📄 Response text preview (first 500 chars):', text.substring(0, 500));
-  console.log('   📄 Response text length:', text.length, 'characters');
-
-  // Save raw response before parsing
-  const rawResponseText = String(text || '').trim();
-
-  // Parse JSON response using shared repair utility
-  let evaluationData;
-  
-  try {
-    // Try to use shared JSON repair utility from backend
-    let parseJSONWithRepair;
-    try {
-      const jsonRepair = require('../Backend/utils/jsonRepair');
-      parseJSONWithRepair = jsonRepair.parseJSONWithRepair;
-    } catch (requireError) {
-      // Fallback: use enhanced inline repair functions
-      parseJSONWithRepair = (rawText) => {
-        if (!rawText || typeof rawText !== 'string') {
-          throw new Error('Invalid raw text provided');
-        }
-        
-        let repaired = rawText.trim();
-        
-        // Remove markdown code blocks
-        repaired = repaired.replace(/```json\s*\n?/gi, '').replace(/```\s*\n?/g, '').trim();
-        
-        // Find actual JSON boundaries
-        const firstBrace = repaired.indexOf('{');
-        const lastBrace = repaired.lastIndexOf('}');
-        if (firstBrace >= 0 && lastBrace > firstBrace) {
-          repaired = repaired.substring(firstBrace, lastBrace + 1);
-        }
-        
-        // Fix unquoted property names
-        repaired = repaired.replace(/([{,]\s*)([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":');
-        
-        // Remove trailing commas
-        repaired = repaired.replace(/,(\s*[}\]])/g, '$1');
-        
-        // Fix control characters in strings
-        let inString = false;
-        let escapeNext = false;
-        let result = '';
-        for (let i = 0; i < repaired.length; i++) {
-          const char = repaired[i];
-          if (escapeNext) {
-            result += char;
-            escapeNext = false;
-            continue;
-          }
-          if (char === '\\') {
-            result += char;
-            escapeNext = true;
-            continue;
-          }
-          if (char === '"') {
-            inString = !inString;
-            result += char;
-            continue;
-          }
-          if (inString) {
-            if (char === '\n') result += '\\n';
-            else if (char === '\r') result += '\\r';
-            else if (char === '\t') result += '\\t';
-            else if (char.charCodeAt(0) < 32) {
-              result += `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
-            } else {
-              result += char;
-            }
-          } else {
-            result += char;
-          }
-        }
-        repaired = result;
-        
-        // Multiple parse attempts with error-specific fixes
-        let parseAttempts = 0;
-        const maxAttempts = 5;
-        
-        while (parseAttempts < maxAttempts) {
-          try {
-            return JSON.parse(repaired);
-          } catch (parseError) {
-            parseAttempts++;
-            const errorMessage = parseError.message || '';
-            const positionMatch = errorMessage.match(/position (\d+)/);
-            
-            if (positionMatch && parseAttempts < maxAttempts) {
-              const position = parseInt(positionMatch[1]);
-              
-              if (errorMessage.includes("Expected ',' or '}'")) {
-                // Try to add missing comma
-                if (position < repaired.length) {
-                  const charAtPos = repaired[position];
-                  const beforeChar = position > 0 ? repaired[position - 1] : '';
-                  
-                  // If we have a value before and a quote/brace after, add comma
-                  if ((beforeChar === '"' || /[\w\d}]/.test(beforeChar)) && 
-                      (charAtPos === '"' || charAtPos === '}' || charAtPos === ']')) {
-                    repaired = repaired.substring(0, position) + ',' + repaired.substring(position);
-                    continue;
-                  }
-                  
-                  // Look backwards for string end to add comma
-                  for (let i = position - 1; i >= Math.max(0, position - 50); i--) {
-                    if (repaired[i] === '"' && repaired[i - 1] !== '\\') {
-                      let j = i + 1;
-                      while (j < repaired.length && /\s/.test(repaired[j])) j++;
-                      if (j < repaired.length && (repaired[j] === '"' || repaired[j] === '{' || repaired[j] === '[')) {
-                        repaired = repaired.substring(0, j) + ',' + repaired.substring(j);
-                        break;
-                      }
-                    }
-                  }
-                }
-              } else if (errorMessage.includes("Bad control character")) {
-                repaired = repaired.replace(/[\x00-\x1F]/g, (char) => {
-                  return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
-                });
-              } else {
-                break;
-              }
-            } else {
-              break;
-            }
-          }
-        }
-        
-        // Final attempt
-        try {
-          return JSON.parse(repaired);
-        } catch (finalError) {
-          throw new Error(`Failed to parse JSON after ${maxAttempts} repair attempts: ${finalError.message}`);
-        }
-      };
-    }
-    
-    evaluationData = parseJSONWithRepair(rawResponseText);
-    console.log('   ✅ Successfully parsed JSON response');
-  } catch (parseError) {
-    console.error('   ⚠️ JSON parsing failed:', parseError.message);
-    throw new Error(`Failed to parse JSON response: ${parseError.message}`);
-  }
-
-  // Extract token usage
-  const usageMetadata = result.response.usageMetadata || {};
-  const tokenUsage = calculateTokenCost(usageMetadata);
+  // Extract token usage, priced per call at the prices of the model used
+  const tokenUsage = calculateTokenCost(callUsageMetadata, { model: generativeModel.modelName });
 
   // Format response to match expected structure for saveResultsToMongoDB
   const studentsData = {};
@@ -430,19 +716,51 @@ async function generateStudentReportCardNewFormat(
         why_marks_awarded: q.why_marks_awarded,
         deductions: q.deductions,
         tiered_feedback: q.tiered_feedback,
-        value_points_matched: q.value_points_matched
+        value_points_matched: q.value_points_matched,
+        value_points_awarded: q.value_points_awarded,
+        attempted: q.attempted,
+        selectedOption: q.selectedOption,
+        confidence: q.confidence,
+        illegible: q.illegible
       };
     }) || [];
+
+    // MCQ marks come from the answer key, never from the model
+    let questions = transformedQuestions;
+    if (options.answerKey) {
+      const mcqScoring = applyMCQScoring(transformedQuestions, options.answerKey);
+      questions = mcqScoring.questions;
+      if (mcqScoring.overriddenCount > 0) {
+        console.log(`   🔑 ${mcqScoring.overriddenCount}/${mcqScoring.scoredCount} MCQ mark(s) corrected against the answer key`);
+      }
+    }
+
+    // Recompute totals from value points and keep marks within the scheme's limits
+    const reconciliation = reconcileQuestionScores(questions, options.scoreLimits || undefined);
+    questions = reconciliation.questions.map(q => ({ ...q, awarded_marks: q.marksAwarded }));
+    if (reconciliation.corrections.length > 0) {
+      console.log(`   🧮 ${reconciliation.corrections.length} score correction(s) applied`);
+    }
     
     // Use studentId as key (convert to string) for compatibility with saveResultsToMongoDB
-    const studentIdKey = student.studentId ? student.studentId.toString() : student.studentName;
+    const studentIdKey = getStudentKey(student);
     
     studentsData[studentIdKey] = {
       studentName: studentResult.studentName || student.studentName,
       rollNumber: studentResult.rollNumber || student.rollNumber,
-      questions: transformedQuestions,
+      questions,
       overallFeedback: studentResult.overallFeedback || {},
-      overallRubrics: studentResult.overallRubrics || {}
+      overallRubrics: studentResult.overallRubrics || {},
+      scoreCorrections: reconciliation.corrections,
+      jsonRepairs,
+      continuation,
+      provenance: {
+        provider: generativeModel.provider,
+        model: generativeModel.modelName,
+        requestedModel: options.requestedModel || generativeModel.modelName,
+        generationConfig: generativeModel.generationConfig,
+        ...promptProvenance
+      }
     };
   }
 
@@ -455,127 +773,17 @@ async function generateStudentReportCardNewFormat(
 
 /**
  * Build evaluation prompt with strict marking scheme usage
+ * @returns {{ prompt: string, provenance: Object }} - Template id, version and prompt hash (see promptTemplates.js)
  */
-function buildEvaluationPromptNewFormat(student, subjectName, className, examTypeName) {
-  return `You are an expert CBSE examiner evaluating a student's answer sheet.
-
-**Subject:** ${subjectName}
-**Class:** ${className}
-**Exam Type:** ${examTypeName}
-**Student:** ${student.studentName} (Roll: ${student.rollNumber})
-
-**CRITICAL: STRICT EVALUATION REQUIREMENTS**
-
-Two files have been provided:
-1. **Marking Scheme (TXT)** - Contains the official marking scheme with ALL question details, value points, step marks, correct answers, and marking criteria in a formatted text format. This file includes:
-   - All question numbers and question text
-   - Section names and organization
-   - Maximum marks for each question
-   - Value points for non-MCQ questions
-   - Step marks distribution
-   - Correct answers and model answers
-   - Question types (MCQ, VSA, SA, LA, etc.)
-2. **Student Answer Sheet (PDF)** - Contains the student's answers to be evaluated
-
-**You MUST:**
-- Read and understand the marking scheme text file completely - it contains ALL the information you need about the questions
-- Use the marking scheme as the STRICT and ONLY reference for awarding marks
-- Extract question details (question numbers, sections, question text, question types) from the marking scheme
-- Compare the student's answers (from the answer sheet PDF) against the marking scheme
-- **CRITICAL: STEP-BY-STEP EVALUATION REQUIRED**
-  - For each question in the marking scheme, you MUST evaluate EACH value point/step individually
-  - For each value point (step) in the marking scheme:
-    1. Check if the student ATTEMPTED this step (look for the step's content in their answer)
-    2. Check if the step is CORRECT by verifying:
-       - The student's answer contains the expected concepts/key terms from expected_ocr_match field
-       - The step logic/calculation is correct
-       - The step follows the description requirements
-    3. **IF STEP IS CORRECT:** Award the full marks for that step (marks value from value point, typically 0.5)
-    4. **IF STEP IS WRONG OR MISSING:** Award 0 marks for that step
-  - Sum up all the marks from correctly answered steps to get the total marks for the question
-  - Do NOT award marks for incorrect or missing steps
-- For MCQ questions: Award full marks ONLY if the student selected the correct option specified in the marking scheme
-- Use the step marks distribution exactly as specified in the marking scheme
-- Do NOT award marks for content not in the marking scheme, even if it seems correct
-- Do NOT exceed the maximum marks specified for each question in the marking scheme
-- Ensure the question numbers, sections, and question types match exactly with the marking scheme
-
-**IMPORTANT: Choice-Based Questions (Questions with 'OR')**
-
-- In descriptive, short answer, or long answer questions, you may encounter questions marked with "OR" (e.g., "Question 5(a) OR 5(b)")
-- The "OR" indicates that students have a CHOICE to answer EITHER of the questions
-- When evaluating:
-  - Check which question the student has attempted (they may have attempted one, both, or neither)
-  - If the student attempted one of the choice questions, evaluate ONLY that question using the corresponding marking scheme
-  - If the student attempted both choice questions, evaluate ONLY the first one they answered (or the better one, but still use the marking scheme for that specific question)
-  - Do NOT award marks for both choice questions - only one should be evaluated
-  - Match the student's attempted question number with the correct marking scheme entry
-  - Be very careful to identify which specific question (e.g., 5(a) vs 5(b)) the student answered
-
-**Grounding Datastore Reference:**
-
-- A Vertex AI Search datastore is available and enabled for this evaluation
-- The datastore contains official CBSE marking scheme documents, sample question papers, and marking scheme examples
-- You can use the datastore to:
-  - Reference evaluation methodology and guidelines not explicitly covered in the provided marking scheme
-  - Understand marking standards and practices for edge cases
-  - Get clarification on how to handle situations not fully addressed in the marking scheme
-  - Reference subject-specific evaluation criteria and best practices
-- While the provided marking scheme text file is the PRIMARY and STRICT reference, the datastore can provide additional context and guidance for evaluation methodology
-- Always prioritize the provided marking scheme, but use the datastore for supplementary reference when needed
-
-**Evaluation Process:**
-1. Read the marking scheme text file completely - it contains ALL question details including question numbers, question text, sections, question types, maximum marks, value points (with step_id, description, expected_ocr_match, marks), step marks, and correct answers
-2. Read the student's answer sheet PDF
-3. For each question listed in the marking scheme, identify the corresponding answer in the student's answer sheet
-4. **For each question, evaluate EACH value point/step individually:**
-   - Check if the student attempted the step
-   - Verify correctness using expected_ocr_match and description fields from the marking scheme
-   - Award marks ONLY for correct steps
-   - Award 0 marks for incorrect or missing steps
-5. Calculate total marks for each question = Sum of marks from all correctly answered steps
-6. Document which value points/steps were correct (and awarded marks) and which were wrong/missing (and why marks were deducted)
-
-**Output Format:**
-
-Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before or after.
-
-Return a JSON object with ALL questions (MCQ and Non-MCQ) in this exact format:
-
-{
-  "students": [
-    {
-      "studentName": "${student.studentName}",
-      "rollNumber": "${student.rollNumber}",
-      "questions": [
-        {
-          "questionNumber": "1",
-          "section": "Section name",
-          "questionType": "MCQ | VSA | SA | LA | Case | Map | Grammar | Writing | Numericals/Derivation",
-          "maxMarks": 10,
-          "marksAwarded": 8,
-          "awarded_marks": 8,
-          "out_of": 10,
-          "why_marks_awarded": [
-            "✓ Matched value points: <list the exact ideas/steps credited>",
-            "✓ Method/working shown: <brief note>",
-            "✓ Format/presentation credit: <if any>"
-          ],
-          "deductions": [
-            { "reason": "Spelling/grammar issue", "marks": 0.5 },
-            { "reason": "Missing a critical step", "marks": 1 }
-          ],
-          "tiered_feedback": {
-            "easy": "...",
-            "medium": "...",
-            "strict": "...",
-            "very_strict": "..."
-          },
-          "value_points_matched": ["point1", "point2"]
-        }
-      ]
-    }
-  ]
-}`;
+function buildEvaluationPromptNewFormat(student, subjectName, className, examTypeName, tenantConfig) {
+  return renderPrompt('student-evaluation', {
+    subjectName: subjectName || 'N/A',
+    className: className || 'N/A',
+    examTypeName: examTypeName || 'N/A',
+    studentName: student.studentName || 'Student',
+    rollNumber: student.rollNumber || 'N/A'
+  }, { tenantConfig });
 }
 
+exports.evaluateStudent = evaluateStudent;
+exports.getStudentKey = getStudentKey;
@@ -5,14 +5,97 @@
  */
 
 const {
-  vertexAI,
   VERTEX_AI_DATA_SOURCE_ID,
   retryWithBackoff,
   calculateTokenCost,
   connectToDatabase,
   saveMarkingSchemeToMongoDB,
-  saveQuestionPaperToMongoDB
+  saveQuestionPaperToMongoDB,
+  checkTenantBudget,
+  getTenantConfig
 } = require('./utils');
+const { getGenerativeModel } = require('./llmProvider');
+const { generateStructuredContent } = require('./structuredOutput');
+const { validateMarkingScheme } = require('./markingSchemeValidator');
+const { normalizeChoiceGroups } = require('./choiceGroups');
+const { resolveModelChain, withModelFallback } = require('./modelSelection');
+const { renderPrompt } = require('./promptTemplates');
+
+/**
+ * Expected structure of the extracted marking scheme
+ */
+const MARKING_SCHEME_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['totalMarks', 'sections'],
+  properties: {
+    examTitle: { type: 'string' },
+    totalMarks: { type: 'number', minimum: 0 },
+    sections: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['sectionName', 'sectionTotalMarks', 'questions'],
+        properties: {
+          sectionName: { type: 'string' },
+          sectionTotalMarks: { type: 'number', minimum: 0 },
+          questions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['questionNumber', 'marks'],
+              properties: {
+                questionNumber: { type: ['string', 'number'] },
+                questionText: { type: 'string' },
+                questionType: { type: 'string' },
+                marks: { type: 'number', minimum: 0 },
+                options: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      option: { type: 'string' },
+                      text: { type: 'string' }
+                    }
+                  }
+                },
+                correctOption: { type: 'string' },
+                cancelled: { type: 'boolean' },
+                correctAnswer: { type: 'string' },
+                valuePoints: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['step_id', 'description'],
+                    properties: {
+                      step_id: { type: 'integer' },
+                      description: { type: 'string' },
+                      expected_ocr_match: { type: 'string' },
+                      marks: { type: 'number', minimum: 0 }
+                    }
+                  }
+                },
+                stepMarks: { type: 'array', items: { type: 'number' } }
+              }
+            }
+          }
+        }
+      }
+    },
+    choiceGroups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionNumbers'],
+        properties: {
+          groupId: { type: ['string', 'number'] },
+          questionNumbers: { type: 'array', minItems: 2, items: { type: ['string', 'number'] } }
+        }
+      }
+    }
+  }
+};
 
 // ============================================================================
 // CLOUD FUNCTION: PROCESS MARKING SCHEME EXTRACTION
@@ -44,20 +127,43 @@ exports.processMarkingSchemeExtraction = async (req, res) => {
 
     await connectToDatabase();
 
-    // Configure Vertex AI model with retrieval
+    // Requests without a tenant are not metered
+    if (payload.tenantId) {
+      const budget = await checkTenantBudget({
+        tenantId: payload.tenantId,
+        functionName: 'processMarkingSchemeExtraction',
+        payload,
+        requestedBy: payload.createdBy,
+        // Redeliveries of an approved request keep its approval
+        consumerKey: req.headers?.['x-cloudtasks-taskname']
+      });
+      if (!budget.allowed) {
+        return res.status(200).json({
+          success: false,
+          budgetExceeded: true,
+          action: budget.action,
+          approvalId: budget.approvalId,
+          message: budget.message
+        });
+      }
+    }
+
+    // Configure model with retrieval
     const projectId = process.env.GCP_PROJECT_ID || 'slapp-478005';
     const location = 'global';
     const dataStoreName = `projects/${projectId}/locations/${location}/collections/default_collection/dataStores/${VERTEX_AI_DATA_SOURCE_ID}`;
 
-    const generativeModel = vertexAI.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      tools: [{
-        retrieval: {
-          vertexAiSearch: {
-            datastore: dataStoreName
-          }
-        }
-      }]
+    const tenantConfig = payload.tenantId ? await getTenantConfig(payload.tenantId) : null;
+    const modelChain = resolveModelChain({ functionName: 'processMarkingSchemeExtraction', request: payload, tenantConfig });
+
+    // Model of the current attempt: after a fallback, the model that produced the response
+    let generativeModel;
+    const modelProvenance = () => ({
+      provider: generativeModel.provider,
+      model: generativeModel.modelName,
+      requestedModel: modelChain[0].model,
+      generationConfig: generativeModel.generationConfig,
+      ...promptProvenance
     });
 
     // Build extraction prompt
@@ -77,431 +183,85 @@ exports.processMarkingSchemeExtraction = async (req, res) => {
     };
     const languageName = languageNames[language] || 'English';
 
-    const prompt = `You are analyzing a question paper to extract the marking scheme.
-
-**Context**
-Subject: ${payload.subjectName || 'N/A'}
-Class: ${payload.className || 'N/A'}
-Language: ${languageName}
-
-**CRITICAL: Datastore Reference Requirements**
-
-You MUST consult the following documents from the Vertex AI Search datastore (all files are indexed and available):
-
-1. **"CBSE Marking Scheme" Document:**
-   - This file contains official CBSE marking prompts and guidelines on how to construct marking schemes
-   - Use this as your PRIMARY reference for marking scheme structure, value point allocation, step-marking rules, and formatting standards
-   - Apply the marking scheme construction guidelines from this document consistently throughout your extraction
-
-2. **Sample Marks Scheme and Question Papers Examples:**
-   - Refer to the Sample Marks Scheme files and corresponding Question Papers Examples for the subject: **${payload.subjectName || 'N/A'}**
-   - These files contain official CBSE question papers and their marking schemes for this specific subject
-   - Use these files to understand:
-     - The expected structure and format of marking schemes
-     - How value points are allocated for different question types
-     - Step-wise marking distribution patterns
-     - Acceptable answer formats and variations
-     - Subject-specific marking criteria
-
-3. **Extraction Process:**
-   - FIRST: Construct your marking scheme in line with the Sample Marks Scheme files for ${payload.subjectName || 'the subject'} from the datastore
-   - Ensure your marking scheme structure matches the official CBSE marking scheme format found in the Sample Marks Scheme files
-   - THEN: Extract the marking scheme from the provided question paper
-   - Apply the guidelines from the "CBSE Marking Scheme" document for consistency
-
-**Grounding Requirement:**
-- In addition to the question paper provided, you MUST actively search and reference:
-  - The "CBSE Marking Scheme" document for marking scheme construction methodology
-  - Sample Marks Scheme and Question Papers Examples for ${payload.subjectName || 'the subject'} to align your extraction
-  - Apply the rules, structure, and guidance from these documents consistently
+    const { prompt, provenance: promptProvenance } = renderPrompt('marking-scheme-extraction', {
+      subjectName: payload.subjectName || 'N/A',
+      className: payload.className || 'N/A',
+      languageName,
+      subjectReference: payload.subjectName || 'the subject'
+    }, { tenantConfig });
 
-**Instructions:**
-- Extract ALL questions from the question paper
-- For each question, identify:
-  - Question number
-  - Section name (e.g., "Section A", "Section B")
-  - Question type (MCQ, VSA, SA, LA, etc.)
-  - Maximum marks
-  - For MCQ: Extract all options (A, B, C, D) and identify the correct option. DO NOT include valuePoints or modelAnswer for MCQs.
-  - For non-MCQ: Extract value points as an array of objects. Each value point MUST be worth exactly 0.5 marks.
-    - Each value point should have: step_id (1, 2, 3...), description (action/step taken), expected_ocr_match (key terms/numbers to look for), marks (always 0.5)
-    - If a question is worth N marks, create exactly 2N value points (each worth 0.5 marks)
-    - Example: 3 marks question = 6 value points (6 × 0.5 = 3)
-  - Question text (brief description)
-- **CRITICAL: Internal Choice Questions Handling:**
-  - If a question has internal choices (e.g., "Answer part (a) OR part (b)" or "Answer both (a) and (b)"), you MUST create SEPARATE question entries for EACH part
-  - For example, if Question 33 has parts (a) and (b), create TWO separate entries:
-    - One entry with questionNumber: "33 part a" (or "33(a)") with its own marks and valuePoints
-    - Another entry with questionNumber: "33 part b" (or "33(b)") with its own marks and valuePoints
-  - Each part of an internal choice question MUST have its own complete valuePoints array based on the marks allocated to that specific part
-  - Do NOT combine value points for multiple parts - each part gets its own separate value points
-  - Example: If Question 33 part (a) is worth 3 marks, create 6 value points (0.5 each) for part (a). If part (b) is worth 3 marks, create 6 separate value points (0.5 each) for part (b).
-- Group questions by sections
-- Calculate total marks for each section
-- Calculate overall total marks
-- DO NOT include modelAnswer or model_answer_latex fields - they are NOT required
-
-**Output Format:**
-
-Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before or after.
-
-{
-  "examTitle": "Exam title from question paper",
-  "totalMarks": 100,
-  "sections": [
-    {
-      "sectionName": "Section A",
-      "sectionTotalMarks": 25,
-      "questions": [
-        {
-          "questionNumber": "1",
-          "questionText": "Brief question description",
-          "questionType": "MCQ",
-          "marks": 1,
-          "options": [
-            {"option": "A", "text": "Option A text"},
-            {"option": "B", "text": "Option B text"},
-            {"option": "C", "text": "Option C text"},
-            {"option": "D", "text": "Option D text"}
-          ],
-          "correctOption": "A",
-          "correctAnswer": "Concise correct answer (max 50 chars)",
-          "valuePoints": [],
-          "stepMarks": []
-        },
-        {
-          "questionNumber": "2",
-          "questionText": "Brief question description",
-          "questionType": "SA",
-          "marks": 2,
-          "options": [],
-          "correctOption": "",
-          "correctAnswer": "Concise correct answer (max 50 chars)",
-          "valuePoints": [
-            {
-              "step_id": 1,
-              "description": "Action or step taken (e.g., 'Substitute values into formula')",
-              "expected_ocr_match": "Key numbers or terms to look for in student handwriting",
-              "marks": 0.5
-            },
-            {
-              "step_id": 2,
-              "description": "Next step description",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 3,
-              "description": "Next step description",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 4,
-              "description": "Final step description",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            }
-          ],
-          "stepMarks": [0.5, 0.5, 0.5, 0.5]
-        },
-        {
-          "questionNumber": "33 part a",
-          "questionText": "Question 33 part (a) description",
-          "questionType": "LA",
-          "marks": 3,
-          "options": [],
-          "correctOption": "",
-          "correctAnswer": "Concise correct answer for part (a)",
-          "valuePoints": [
-            {
-              "step_id": 1,
-              "description": "First step for part (a)",
-              "expected_ocr_match": "Key terms/numbers for part (a)",
-              "marks": 0.5
-            },
-            {
-              "step_id": 2,
-              "description": "Second step for part (a)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 3,
-              "description": "Third step for part (a)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 4,
-              "description": "Fourth step for part (a)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 5,
-              "description": "Fifth step for part (a)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 6,
-              "description": "Final step for part (a)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            }
-          ],
-          "stepMarks": [0.5, 0.5, 0.5, 0.5, 0.5, 0.5]
-        },
-        {
-          "questionNumber": "33 part b",
-          "questionText": "Question 33 part (b) description",
-          "questionType": "LA",
-          "marks": 3,
-          "options": [],
-          "correctOption": "",
-          "correctAnswer": "Concise correct answer for part (b)",
-          "valuePoints": [
-            {
-              "step_id": 1,
-              "description": "First step for part (b)",
-              "expected_ocr_match": "Key terms/numbers for part (b)",
-              "marks": 0.5
-            },
-            {
-              "step_id": 2,
-              "description": "Second step for part (b)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 3,
-              "description": "Third step for part (b)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 4,
-              "description": "Fourth step for part (b)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 5,
-              "description": "Fifth step for part (b)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            },
-            {
-              "step_id": 6,
-              "description": "Final step for part (b)",
-              "expected_ocr_match": "Expected terms/numbers",
-              "marks": 0.5
-            }
-          ],
-          "stepMarks": [0.5, 0.5, 0.5, 0.5, 0.5, 0.5]
-        }
-      ]
-    }
-  ]
-}
-
-**CRITICAL JSON REQUIREMENTS:**
-1. Return ONLY valid, parseable JSON. NO markdown code blocks (three backticks), NO explanations, NO text before or after.
-2. Start with { and end with }. Ensure all braces, brackets, and quotes are properly closed.
-3. All string values must be properly escaped:
-   - Use \\" for quotes inside strings
-   - Use \\n for newlines, \\t for tabs, \\r for carriage returns
-   - Escape ALL control characters (characters with ASCII code < 32) as \\uXXXX
-   - Do NOT include literal newlines, tabs, or other control characters in string values
-4. NO trailing commas before } or ].
-5. All property names must be in double quotes.
-6. Ensure the JSON is complete and well-formed.`;
-
-    // Call Vertex AI with retry logic
-    console.log('\n📤 Calling Vertex AI for marking scheme extraction...');
+    // Call the model with retry logic, validating the output against the marking scheme schema
+    console.log('\n📤 Calling LLM for marking scheme extraction...');
     const startTime = Date.now();
-    
-    const result = await retryWithBackoff(async () => {
-      const response = await generativeModel.generateContent({
-        contents: [{
-          role: 'user',
-          parts: [
-            { text: prompt },
-            {
-              fileData: {
-                fileUri: payload.questionPaperUri,
-                mimeType: 'application/pdf'
-              }
-            }
-          ]
-        }],
-        tools: [{
-          retrieval: {
-            vertexAiSearch: {
-              datastore: dataStoreName
-            }
-          }
-        }]
-      });
-      return response;
-    }, 3, 2000);
-
-    const responseTime = Date.now() - startTime;
-    console.log(`   ⏱️  Response time: ${responseTime}ms`);
-
-    const text = result.response.candidates[0].content.parts[0].text;
-    const rawResponseText = String(text || '').trim();
-    
-    console.log('   📄 Response text length:', rawResponseText.length, 'characters');
 
-    // Parse JSON response using repair utility with fallback
-    let parseJSONWithRepair;
+    let structuredResult;
     try {
-      const jsonRepair = require('../Backend/utils/jsonRepair');
-      parseJSONWithRepair = jsonRepair.parseJSONWithRepair;
-    } catch (requireError) {
-      // Fallback: use enhanced inline repair functions
-      parseJSONWithRepair = (rawText) => {
-        if (!rawText || typeof rawText !== 'string') {
-          throw new Error('Invalid raw text provided');
-        }
-        
-        let repaired = rawText.trim();
-        
-        // Remove markdown code blocks
-        repaired = repaired.replace(/```json\s*\n?/gi, '').replace(/```\s*\n?/g, '').trim();
-        
-        // Find actual JSON boundaries
-        const firstBrace = repaired.indexOf('{');
-        const lastBrace = repaired.lastIndexOf('}');
-        if (firstBrace >= 0 && lastBrace > firstBrace) {
-          repaired = repaired.substring(firstBrace, lastBrace + 1);
-        }
-        
-        // Fix unquoted property names
-        repaired = repaired.replace(/([{,]\s*)([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":');
-        
-        // Remove trailing commas
-        repaired = repaired.replace(/,(\s*[}\]])/g, '$1');
-        
-        // Fix control characters in strings
-        let inString = false;
-        let escapeNext = false;
-        let result = '';
-        for (let i = 0; i < repaired.length; i++) {
-          const char = repaired[i];
-          if (escapeNext) {
-            result += char;
-            escapeNext = false;
-            continue;
-          }
-          if (char === '\\') {
-            result += char;
-            escapeNext = true;
-            continue;
-          }
-          if (char === '"') {
-            inString = !inString;
-            result += char;
-            continue;
-          }
-          if (inString) {
-            if (char === '\n') result += '\\n';
-            else if (char === '\r') result += '\\r';
-            else if (char === '\t') result += '\\t';
-            else if (char.charCodeAt(0) < 32) {
-              result += `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
-            } else {
-              result += char;
+      structuredResult = await withModelFallback(modelChain, (modelSpec) => {
+        generativeModel = getGenerativeModel({
+          functionName: 'processMarkingSchemeExtraction',
+          provider: modelSpec.provider,
+          model: modelSpec.model,
+          usage: { tenantId: payload.tenantId },
+          tools: [{
+            retrieval: {
+              vertexAiSearch: {
+                datastore: dataStoreName
+              }
             }
-          } else {
-            result += char;
-          }
-        }
-        repaired = result;
-        
-        // Multiple parse attempts with error-specific fixes
-        let parseAttempts = 0;
-        const maxAttempts = 5;
-        
-        while (parseAttempts < maxAttempts) {
-          try {
-            return JSON.parse(repaired);
-          } catch (parseError) {
-            parseAttempts++;
-            const errorMessage = parseError.message || '';
-            const positionMatch = errorMessage.match(/position (\d+)/);
-            
-            if (positionMatch && parseAttempts < maxAttempts) {
-              const position = parseInt(positionMatch[1]);
-              
-              if (errorMessage.includes("Expected ',' or '}'")) {
-                // Try to add missing comma
-                if (position < repaired.length) {
-                  const charAtPos = repaired[position];
-                  const beforeChar = position > 0 ? repaired[position - 1] : '';
-                  
-                  // If we have a value before and a quote/brace after, add comma
-                  if ((beforeChar === '"' || /[\w\d}]/.test(beforeChar)) && 
-                      (charAtPos === '"' || charAtPos === '}' || charAtPos === ']')) {
-                    repaired = repaired.substring(0, position) + ',' + repaired.substring(position);
-                    continue;
-                  }
-                  
-                  // Look backwards for string end to add comma
-                  for (let i = position - 1; i >= Math.max(0, position - 50); i--) {
-                    if (repaired[i] === '"' && repaired[i - 1] !== '\\') {
-                      let j = i + 1;
-                      while (j < repaired.length && /\s/.test(repaired[j])) j++;
-                      if (j < repaired.length && (repaired[j] === '"' || repaired[j] === '{' || repaired[j] === '[')) {
-                        repaired = repaired.substring(0, j) + ',' + repaired.substring(j);
-                        break;
-                      }
-                    }
+          }]
+        });
+        return retryWithBackoff(() => generateStructuredContent({
+          generativeModel,
+          request: {
+            contents: [{
+              role: 'user',
+              parts: [
+                { text: prompt },
+                {
+                  fileData: {
+                    fileUri: payload.questionPaperUri,
+                    mimeType: 'application/pdf'
                   }
                 }
-              } else if (errorMessage.includes("Bad control character")) {
-                repaired = repaired.replace(/[\x00-\x1F]/g, (char) => {
-                  return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
-                });
-              } else {
-                break;
+              ]
+            }],
+            tools: [{
+              retrieval: {
+                vertexAiSearch: {
+                  datastore: dataStoreName
+                }
               }
-            } else {
-              break;
-            }
-          }
-        }
-        
-        // Final attempt
-        try {
-          return JSON.parse(repaired);
-        } catch (finalError) {
-          throw new Error(`Failed to parse JSON after ${maxAttempts} repair attempts: ${finalError.message}`);
-        }
-      };
-    }
-    
-    let markingSchemeData;
-    try {
-      markingSchemeData = parseJSONWithRepair(rawResponseText);
-    } catch (parseError) {
-      console.error('   ❌ Failed to parse JSON:', parseError.message);
+            }]
+          },
+          schema: MARKING_SCHEME_RESPONSE_SCHEMA,
+          maxReasks: payload.maxReasks
+        }), 3, 2000);
+      });
+    } catch (structuredError) {
+      // Errors without a raw response never reached the model output - let them propagate
+      if (structuredError.rawResponse === undefined) {
+        throw structuredError;
+      }
+
+      console.error('   ❌ Failed to parse JSON:', structuredError.message);
       // Save with parse_failed status to both collections
       await saveMarkingSchemeToMongoDB({
         payload,
-        rawResponse: rawResponseText,
+        rawResponse: structuredError.rawResponse,
+        continuation: structuredError.continuation,
         status: 'parse_failed',
         tenantId: payload.tenantId,
-        createdBy: payload.createdBy
+        createdBy: payload.createdBy,
+        tokenUsage: calculateTokenCost(structuredError.callUsageMetadata || structuredError.usageMetadata, { model: generativeModel.modelName }),
+        provenance: modelProvenance()
       });
       
       // Save to QuestionPaper collection even when parsing fails
       await saveQuestionPaperToMongoDB({
         payload,
         questionPaperData: null, // No parsed data available
-        rawResponse: rawResponseText,
+        rawResponse: structuredError.rawResponse,
+        continuation: structuredError.continuation,
         status: 'parse_failed',
         tenantId: payload.tenantId,
         createdBy: payload.createdBy
@@ -514,15 +274,38 @@ Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before
       });
     }
 
+    const responseTime = Date.now() - startTime;
+    console.log(`   ⏱️  Response time: ${responseTime}ms`);
+
+    const { data: markingSchemeData, rawResponse: rawResponseText, jsonRepairs, continuation, callUsageMetadata } = structuredResult;
+    console.log('   📄 Response text length:', rawResponseText.length, 'characters');
+
+    // Check totals, question numbers, MCQ keys and value points before saving the draft
+    const validation = validateMarkingScheme(markingSchemeData);
+    markingSchemeData.choiceGroups = normalizeChoiceGroups(markingSchemeData);
+    if (markingSchemeData.choiceGroups.length > 0) {
+      console.log(`   🔀 Choice groups: ${markingSchemeData.choiceGroups.map(g => g.questionNumbers.join(' OR ')).join('; ')}`);
+    }
+    if (validation.issues.length > 0) {
+      console.log(`   ⚠️  Marking scheme validation: ${validation.errorCount} error(s), ${validation.warningCount} warning(s)`);
+      validation.issues.slice(0, 10).forEach(issue => console.log(`      - [${issue.severity}] ${issue.message}`));
+    } else {
+      console.log('   ✅ Marking scheme validation passed');
+    }
+
     // Save to MongoDB - MarkingScheme collection
     await saveMarkingSchemeToMongoDB({
       payload,
       markingScheme: markingSchemeData,
       rawResponse: rawResponseText,
+      jsonRepairs,
+      continuation,
+      validation,
       status: 'draft',
       tenantId: payload.tenantId,
       createdBy: payload.createdBy,
-      tokenUsage: calculateTokenCost(result.response.usageMetadata || {})
+      tokenUsage: calculateTokenCost(callUsageMetadata, { model: generativeModel.modelName }),
+      provenance: modelProvenance()
     });
 
     // Save to QuestionPaper collection
@@ -530,6 +313,9 @@ Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before
       payload,
       questionPaperData: markingSchemeData,
       rawResponse: rawResponseText,
+      jsonRepairs,
+      continuation,
+      validation,
       status: 'draft',
       tenantId: payload.tenantId,
       createdBy: payload.createdBy
@@ -539,7 +325,12 @@ Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before
     res.status(200).json({
       success: true,
       message: 'Marking scheme extracted successfully',
-      status: 'draft'
+      status: 'draft',
+      validation: {
+        valid: validation.valid,
+        errorCount: validation.errorCount,
+        warningCount: validation.warningCount
+      }
     });
 
   } catch (error) {
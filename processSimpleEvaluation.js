@@ -6,12 +6,20 @@
  */
 
 const {
-  vertexAI,
   retryWithBackoff,
   calculateTokenCost,
   connectToDatabase,
-  saveAnswerSheetEvaluationToMongoDB
+  saveAnswerSheetEvaluationToMongoDB,
+  checkTenantBudget,
+  getTenantConfig,
+  loadMarkingSchemeFromGCS
 } = require('./utils');
+const { getGenerativeModel } = require('./llmProvider');
+const { generateStructuredContent } = require('./structuredOutput');
+const { buildMCQAnswerKey, applyMCQScoring } = require('./mcqScoring');
+const { buildScoreLimits, reconcileQuestionScores, reconcileGrandTotal } = require('./scoreReconciliation');
+const { resolveModelChain, withModelFallback } = require('./modelSelection');
+const { renderPrompt } = require('./promptTemplates');
 
 // ============================================================================
 // CLOUD FUNCTION: SIMPLE EVALUATION
@@ -42,18 +50,49 @@ exports.processSimpleEvaluation = async (req, res) => {
     // Connect to MongoDB (if needed)
     await connectToDatabase();
 
-    // Generate evaluation using Vertex AI
-    console.log('\n📤 Processing evaluation with Vertex AI...');
+    // Requests without a tenant are not metered
+    if (payload.tenantId) {
+      const budget = await checkTenantBudget({
+        tenantId: payload.tenantId,
+        functionName: 'processSimpleEvaluation',
+        payload,
+        requestedBy: payload.createdBy,
+        // Redeliveries of an approved request keep its approval
+        consumerKey: req.headers?.['x-cloudtasks-taskname']
+      });
+      if (!budget.allowed) {
+        return res.status(200).json({
+          success: false,
+          budgetExceeded: true,
+          action: budget.action,
+          approvalId: budget.approvalId,
+          message: budget.message
+        });
+      }
+    }
+
+    // Generate evaluation using the configured LLM provider
+    console.log('\n📤 Processing evaluation with LLM provider...');
     
-    const result = await retryWithBackoff(() => 
+    const tenantConfig = payload.tenantId ? await getTenantConfig(payload.tenantId) : null;
+    const modelChain = resolveModelChain({ functionName: 'processSimpleEvaluation', request: payload, tenantConfig });
+    const result = await withModelFallback(modelChain, (modelSpec) => retryWithBackoff(() => 
       evaluateAnswerSheetSimple(
         payload.markingSchemeTextUri,
         payload.answerSheetUri,
-        payload.studentName || 'Student'
+        payload.studentName || 'Student',
+        {
+          maxReasks: payload.maxReasks,
+          usage: { tenantId: payload.tenantId },
+          tenantConfig,
+          provider: modelSpec.provider,
+          model: modelSpec.model,
+          requestedModel: modelChain[0].model
+        }
       ),
       3,
       2000
-    );
+    ));
 
     console.log('✅ Evaluation completed successfully');
     
@@ -76,8 +115,12 @@ exports.processSimpleEvaluation = async (req, res) => {
         answerSheetUri: payload.answerSheetUri,
         studentName: payload.studentName || 'Student',
         evaluationData: result.evaluationData,
+        scoreCorrections: result.scoreCorrections,
         tokenUsage: result.tokenUsage,
+        provenance: result.provenance,
         rawResponse: result.rawResponse,
+        jsonRepairs: result.jsonRepairs,
+        continuation: result.continuation,
         createdBy: payload.createdBy || 'system'
       });
       console.log(`   ✅ Evaluation saved to database: ${savedEvaluation._id}`);
@@ -102,12 +145,54 @@ exports.processSimpleEvaluation = async (req, res) => {
   }
 };
 
+/**
+ * Expected structure of the simple evaluation response
+ */
+const SIMPLE_EVALUATION_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['questions', 'grandTotal'],
+  properties: {
+    studentName: { type: 'string' },
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionNumber', 'steps', 'totalMarks'],
+        properties: {
+          questionNumber: { type: ['string', 'number'] },
+          steps: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['step_id', 'marksAwarded'],
+              properties: {
+                step_id: { type: 'integer' },
+                marksAwarded: { type: 'number', minimum: 0 },
+                description: { type: 'string' }
+              }
+            }
+          },
+          totalMarks: { type: 'number', minimum: 0 },
+          selectedOption: { type: ['string', 'array', 'null'] }
+        }
+      }
+    },
+    grandTotal: { type: 'number', minimum: 0 }
+  }
+};
+
 /**
  * Evaluate answer sheet with simple step-by-step marking
+ * @param {Object} options - { maxReasks } for structured output re-asks, { usage } ledger context,
+ *                           { provider, model, requestedModel } model of this attempt and first model of the chain,
+ *                           { tenantConfig } for prompt template overrides
  */
-async function evaluateAnswerSheetSimple(markingSchemeTextUri, answerSheetUri, studentName) {
-  const generativeModel = vertexAI.getGenerativeModel({
-    model: 'gemini-2.5-flash',
+async function evaluateAnswerSheetSimple(markingSchemeTextUri, answerSheetUri, studentName, options = {}) {
+  const generativeModel = getGenerativeModel({
+    functionName: 'processSimpleEvaluation',
+    provider: options.provider,
+    model: options.model,
+    usage: options.usage,
     generationConfig: {
       maxOutputTokens: 64000,
       temperature: 0.1
@@ -131,78 +216,12 @@ async function evaluateAnswerSheetSimple(markingSchemeTextUri, answerSheetUri, s
   ];
 
   // Simple prompt for step-by-step evaluation
-  const prompt = `You are an expert academic evaluator. Your task is to evaluate a student's answer sheet against the provided marking scheme.
-
-**MARKING SCHEME FILE:** The first file contains the marking scheme with value points for each question. Each value point has:
-- step_id: Step number
-- description: What the step should contain
-- expected_ocr_match: Key terms/numbers to look for
-- marks: Marks for this step (typically 0.5)
-
-**ANSWER SHEET FILE:** The second file contains the student's scanned answer sheet.
-
-**YOUR TASK:**
-1. For each question in the marking scheme, evaluate the student's answer step by step
-2. For each value point (step) in the marking scheme:
-   - Check if the student's answer contains the expected content
-   - Award marks (0.5) if the step is present and correct, 0 if missing or incorrect
-3. Calculate total marks for each question by summing all step marks
-4. Return ONLY the evaluation results in the specified JSON format
-
-**OUTPUT FORMAT:**
-Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before or after.
-
-{
-  "studentName": "${studentName}",
-  "questions": [
-    {
-      "questionNumber": "1",
-      "steps": [
-        {
-          "step_id": 1,
-          "marksAwarded": 0.5,
-          "description": "Step description from marking scheme"
-        },
-        {
-          "step_id": 2,
-          "marksAwarded": 0.5,
-          "description": "Step description from marking scheme"
-        }
-      ],
-      "totalMarks": 1.0
-    },
-    {
-      "questionNumber": "2",
-      "steps": [
-        {
-          "step_id": 1,
-          "marksAwarded": 0.5,
-          "description": "Step description from marking scheme"
-        },
-        {
-          "step_id": 2,
-          "marksAwarded": 0.0,
-          "description": "Step description from marking scheme"
-        }
-      ],
-      "totalMarks": 0.5
-    }
-  ],
-  "grandTotal": 1.5
-}
-
-**CRITICAL REQUIREMENTS:**
-1. Evaluate ALL questions from the marking scheme
-2. For each question, evaluate ALL value points (steps)
-3. Award 0.5 marks for each correct step, 0 for incorrect/missing steps
-4. Calculate total marks per question by summing step marks
-5. Calculate grandTotal by summing all question totals
-6. Return ONLY the JSON, no other text`;
+  const { prompt, provenance: promptProvenance } = renderPrompt('simple-evaluation', { studentName }, { tenantConfig: options.tenantConfig });
 
   console.log('   📝 Prompt length:', prompt.length, 'characters');
   console.log('   📎 Files attached:', fileParts.length, '(marking scheme + answer sheet)');
 
-  // Call Vertex AI
+  // Call the model
   const startTime = Date.now();
   const request = {
     contents: [
@@ -216,104 +235,42 @@ Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before
     ]
   };
   
-  const result = await generativeModel.generateContent(request);
-  const responseTime = Date.now() - startTime;
-
-  console.log('   ⏱️  Response time:', responseTime, 'ms');
-
-  const response = result.response;
-  
-  // Check if response has candidates
-  if (!response.candidates || response.candidates.length === 0) {
-    console.error('   ❌ No candidates in response:', JSON.stringify(response, null, 2));
-    throw new Error('No candidates returned from Vertex AI');
-  }
-  
-  // Check if candidate has content and parts
-  if (!response.candidates[0].content || !response.candidates[0].content.parts || response.candidates[0].content.parts.length === 0) {
-    console.error('   ❌ No content parts in candidate:', JSON.stringify(response.candidates[0], null, 2));
-    throw new Error('No content parts in Vertex AI response');
-  }
-  
-  const text = response.candidates[0].content.parts[0].text;
-
-  if (!text) {
-    console.error('   ❌ No text in response parts:', JSON.stringify(response.candidates[0].content.parts, null, 2));
-    throw new Error('No text content in Vertex AI response');
-  }
-
-  console.log('   📄 Response text preview (first 500 chars):', text.substring(0, 500));
-
-  // Parse JSON response
-  const rawResponseText = String(text || '').trim();
-  
+  // Call the model and validate the output against the simple evaluation schema
   let evaluationData;
+  let rawResponseText;
+  let jsonRepairs;
+  let continuation;
+  let callUsageMetadata;
   try {
-    // Try to use shared JSON repair utility from backend
-    let parseJSONWithRepair;
-    try {
-      const jsonRepair = require('../Backend/utils/jsonRepair');
-      parseJSONWithRepair = jsonRepair.parseJSONWithRepair;
-    } catch (requireError) {
-      // Fallback: use enhanced inline repair functions
-      parseJSONWithRepair = (rawText) => {
-        if (!rawText || typeof rawText !== 'string') {
-          throw new Error('Invalid raw text provided');
-        }
-        
-        let repaired = rawText.trim();
-        
-        // Remove markdown code blocks
-        repaired = repaired.replace(/```json\s*\n?/gi, '').replace(/```\s*\n?/g, '').trim();
-        
-        // Find actual JSON boundaries
-        const firstBrace = repaired.indexOf('{');
-        const lastBrace = repaired.lastIndexOf('}');
-        if (firstBrace >= 0 && lastBrace > firstBrace) {
-          repaired = repaired.substring(firstBrace, lastBrace + 1);
-        }
-        
-        // Fix unquoted property names
-        repaired = repaired.replace(/([{,]\s*)([a-zA-Z_$][a-zA-Z0-9_$]*)\s*:/g, '$1"$2":');
-        
-        // Remove trailing commas
-        repaired = repaired.replace(/,(\s*[}\]])/g, '$1');
-        
-        // Fix control characters in strings
-        let inString = false;
-        let escapeNext = false;
-        let result = '';
-        for (let i = 0; i < repaired.length; i++) {
-          const char = repaired[i];
-          if (escapeNext) {
-            result += char;
-            escapeNext = false;
-          } else if (char === '\\') {
-            result += char;
-            escapeNext = true;
-          } else if (char === '"') {
-            inString = !inString;
-            result += char;
-          } else if (inString && (char === '\n' || char === '\r' || char === '\t')) {
-            result += ' ';
-          } else {
-            result += char;
-          }
-        }
-        
-        return JSON.parse(result);
-      };
+    ({ data: evaluationData, rawResponse: rawResponseText, jsonRepairs, continuation, callUsageMetadata } = await generateStructuredContent({
+      generativeModel,
+      request,
+      schema: SIMPLE_EVALUATION_RESPONSE_SCHEMA,
+      maxReasks: options.maxReasks
+    }));
+  } catch (structuredError) {
+    if (structuredError.rawResponse !== undefined) {
+      console.error('   ❌ Failed to parse JSON:', structuredError.message);
+      console.error('   📄 Raw response (first 1000 chars):', structuredError.rawResponse.substring(0, 1000));
+      throw new Error(`Failed to parse evaluation response: ${structuredError.message}`);
     }
-    
-    evaluationData = parseJSONWithRepair(rawResponseText);
-  } catch (parseError) {
-    console.error('   ❌ Failed to parse JSON:', parseError.message);
-    console.error('   📄 Raw response (first 1000 chars):', rawResponseText.substring(0, 1000));
-    throw new Error(`Failed to parse evaluation response: ${parseError.message}`);
+    throw structuredError;
   }
+  const responseTime = Date.now() - startTime;
+
+  console.log('   ⏱️  Response time:', responseTime, 'ms');
+  console.log('   📄 Response text preview (first 500 chars):', rawResponseText.substring(0, 500));
+
+  // MCQ marks come from the answer key; all other totals are reconciled against the scheme
+  const markingScheme = await loadMarkingSchemeFromGCS(markingSchemeTextUri).catch(error => {
+    console.warn(`   ⚠️  Marking scheme unavailable for MCQ scoring and score limits (${error.message})`);
+    return null;
+  });
+  const reconciled = reconcileSimpleEvaluation(scoreMCQsSimple(evaluationData, markingScheme), markingScheme);
+  evaluationData = reconciled.evaluationData;
 
   // Calculate token usage
-  const tokenUsage = calculateTokenCost(response.usageMetadata || {});
+  const tokenUsage = calculateTokenCost(callUsageMetadata, { model: generativeModel.modelName });
 
   console.log('   ✅ Evaluation parsed successfully');
   console.log(`   📊 Questions evaluated: ${evaluationData.questions?.length || 0}`);
@@ -321,8 +278,71 @@ Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before
 
   return {
     evaluationData,
+    scoreCorrections: reconciled.scoreCorrections,
     tokenUsage,
-    rawResponse: rawResponseText
+    provenance: {
+      provider: generativeModel.provider,
+      model: generativeModel.modelName,
+      requestedModel: options.requestedModel || generativeModel.modelName,
+      generationConfig: generativeModel.generationConfig,
+      ...promptProvenance
+    },
+    rawResponse: rawResponseText,
+    jsonRepairs,
+    continuation
   };
 }
 
+/**
+ * Replace the model's MCQ totals with marks computed from the marking scheme's answer key
+ * Without a marking scheme the evaluation is returned unchanged.
+ */
+function scoreMCQsSimple(evaluationData, markingScheme) {
+  const answerKey = buildMCQAnswerKey(markingScheme);
+  if (answerKey.size === 0) return evaluationData;
+
+  const { questions: scored, overriddenCount } = applyMCQScoring(
+    (evaluationData.questions || []).map(q => ({ ...q, marksAwarded: q.totalMarks })),
+    answerKey
+  );
+  const questions = scored.map((q, index) => {
+    const original = evaluationData.questions[index];
+    if (q.scoredBy !== 'answer_key') return original;
+    return {
+      ...original,
+      steps: [],
+      totalMarks: q.marksAwarded,
+      selectedOptions: q.selectedOptions,
+      correctOptions: q.correctOptions,
+      mcqOutcome: q.mcqOutcome,
+      scoredBy: q.scoredBy
+    };
+  });
+
+  if (overriddenCount > 0) {
+    console.log(`   🔑 ${overriddenCount} MCQ mark(s) corrected against the answer key`);
+  }
+
+  return { ...evaluationData, questions };
+}
+
+/**
+ * Recompute question totals from step marks, keep them within the scheme's limits
+ * and recompute grandTotal instead of trusting the model's
+ * @returns {{ evaluationData: Object, scoreCorrections: Array }}
+ */
+function reconcileSimpleEvaluation(evaluationData, markingScheme) {
+  const { questions, corrections } = reconcileQuestionScores(
+    evaluationData.questions || [],
+    buildScoreLimits(markingScheme),
+    { stepsField: 'steps', totalField: 'totalMarks' }
+  );
+  const { grandTotal, correction } = reconcileGrandTotal(questions, evaluationData.grandTotal, 'totalMarks');
+  const scoreCorrections = correction ? [...corrections, correction] : corrections;
+
+  if (scoreCorrections.length > 0) {
+    console.log(`   🧮 ${scoreCorrections.length} score correction(s) applied`);
+  }
+
+  return { evaluationData: { ...evaluationData, questions, grandTotal }, scoreCorrections };
+}
@@ -0,0 +1,151 @@
+/**
+ * Google Cloud Function: Process Student Evaluation
+ * 
+ * Evaluates a single student of a fanned-out evaluation run (see processEvaluation)
+ * and queues the aggregator once every student of the run has reported
+ */
+
+const {
+  connectToDatabase,
+  EvaluationRun,
+  StudentEvaluationResult
+} = require('./utils');
+const { evaluateStudent, getStudentKey } = require('./processEvaluation');
+const { describeStudentFailure } = require('./evaluationFailures');
+const { getTaskQueue } = require('./taskQueue');
+
+// Errors that a redelivery cannot fix; anything else (database, task queue) is retried by Cloud Tasks
+const isPermanentTaskError = (error) => /^(Invalid payload|Evaluation run not found)/.test(error.message);
+
+/**
+ * Queue the run's aggregator once every student has reported
+ * The task name makes the enqueue idempotent, so a redelivered task may queue it again.
+ */
+async function queueAggregationIfComplete(run) {
+  if (run.status !== 'running' || run.reportedStudentIds.length < run.studentIds.length) {
+    return false;
+  }
+  console.log('   🔀 All students reported, queuing aggregation');
+  await getTaskQueue().enqueue('aggregateEvaluationResults', {
+    runId: run.runId,
+    tenantId: run.tenantId
+  }, { taskId: `${run.runId}-aggregate` });
+  return true;
+}
+
+// ============================================================================
+// CLOUD FUNCTION: PROCESS STUDENT EVALUATION
+// ============================================================================
+exports.processStudentEvaluation = async (req, res) => {
+  console.log('\n🚀 ============ STUDENT EVALUATION TASK TRIGGERED ============');
+  console.log('   Timestamp:', new Date().toISOString());
+
+  try {
+    const payload = req.body;
+
+    console.log('\n📋 Payload received:');
+    console.log('   Run ID:', payload.runId || '❌ MISSING');
+    console.log('   Exam ID:', payload.examId || '❌ MISSING');
+    console.log('   Student:', payload.student?.studentName || '❌ MISSING');
+    console.log('===================================================\n');
+
+    // Validate payload
+    if (!payload.runId) {
+      throw new Error('Invalid payload: runId is required');
+    }
+    if (!payload.tenantId) {
+      throw new Error('Invalid payload: tenantId is required');
+    }
+    if (!payload.student || !payload.student.answerSheetUri) {
+      throw new Error('Invalid payload: student with answerSheetUri is required');
+    }
+
+    await connectToDatabase();
+
+    const run = await EvaluationRun.findOne({ runId: payload.runId, tenantId: payload.tenantId });
+    if (!run) {
+      throw new Error(`Evaluation run not found: ${payload.runId}`);
+    }
+
+    const studentKey = getStudentKey(payload.student);
+
+    // Redelivered task for a student that already reported: acknowledge without writing,
+    // but queue the aggregator in case the delivery that completed the roster failed to
+    if (run.reportedStudentIds.includes(studentKey)) {
+      console.log(`   ℹ️  Duplicate delivery, ${studentKey} already reported`);
+      await queueAggregationIfComplete(run);
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Duplicate delivery, student already reported',
+        runId: payload.runId,
+        studentId: studentKey
+      });
+    }
+
+    // A previous delivery may have evaluated the student but died before reporting
+    const existingResult = await StudentEvaluationResult.findOne({ runId: payload.runId, studentId: studentKey, status: 'completed' });
+    let status = 'completed';
+    let failure = null;
+
+    if (existingResult) {
+      console.log(`   ℹ️  Reusing result of a previous delivery for ${studentKey}`);
+    } else {
+      let result = null;
+      try {
+        result = await evaluateStudent(payload.student, payload);
+        console.log(`   ✅ Completed: ${payload.student.studentName}`);
+      } catch (error) {
+        console.error(`   ❌ Failed for ${payload.student.studentName}:`, error.message);
+        status = 'failed';
+        failure = describeStudentFailure(studentKey, error);
+      }
+
+      // Record the outcome (a redelivered task overwrites its own row)
+      await StudentEvaluationResult.findOneAndUpdate(
+        { runId: payload.runId, studentId: studentKey },
+        {
+          examId: run.examId, tenantId: run.tenantId, status, result,
+          error: failure?.message || null, errorCode: failure?.errorCode || null, attempts: failure?.attempts || null
+        },
+        { upsert: true }
+      );
+    }
+
+    // Count each student once; the task that completes the roster queues the aggregator
+    const updatedRun = await EvaluationRun.findOneAndUpdate(
+      { runId: payload.runId, reportedStudentIds: { $ne: studentKey } },
+      { $addToSet: { reportedStudentIds: studentKey } },
+      { new: true }
+    );
+
+    const reported = updatedRun ? updatedRun.reportedStudentIds.length : run.reportedStudentIds.length;
+    console.log(`   📊 Run ${payload.runId}: ${reported}/${run.studentIds.length} student(s) reported`);
+
+    if (updatedRun) {
+      await queueAggregationIfComplete(updatedRun);
+    }
+
+    res.status(200).json({
+      success: status === 'completed',
+      message: status === 'completed' ? 'Student evaluated' : 'Student evaluation failed',
+      runId: payload.runId,
+      studentId: studentKey,
+      error: failure?.message || null
+    });
+
+  } catch (error) {
+    console.error('\n❌ Error processing student evaluation:', error);
+
+    // A failed evaluation is recorded above and acknowledged; other errors return 500 so the
+    // task is redelivered, otherwise the student is never reported and the run never aggregates
+    const permanent = isPermanentTaskError(error);
+    res.status(permanent ? 200 : 500).json({
+      success: false,
+      message: 'Student evaluation failed',
+      error: error.message,
+      runId: req.body?.runId,
+      retry: !permanent
+    });
+  }
+};
@@ -0,0 +1,564 @@
+/**
+ * Prompt template registry
+ *
+ * The prompts sent to the model, by template id and version. {{name}} is
+ * replaced with the variable of that name when the prompt is rendered.
+ * Versions are never edited: a prompt change is a new version at the end of
+ * the list, so the prompt of any stored result can be rendered again from its
+ * provenance (template id, version and prompt hash).
+ *
+ * Tenants can override a template with TenantConfig.promptTemplates
+ * ({ templateId, version, template }); the highest version of an override
+ * replaces the default template. Overrides follow the same rule and are added,
+ * not edited.
+ */
+
+const crypto = require('crypto');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]\w*)\s*\}\}/g;
+
+const PROMPT_TEMPLATES = {
+  // Detailed evaluation of one student against the marking scheme (processEvaluation)
+  'student-evaluation': [
+    {
+      version: 1,
+      template: `You are an expert CBSE examiner evaluating a student's answer sheet.
+
+**Subject:** {{subjectName}}
+**Class:** {{className}}
+**Exam Type:** {{examTypeName}}
+**Student:** {{studentName}} (Roll: {{rollNumber}})
+
+**CRITICAL: STRICT EVALUATION REQUIREMENTS**
+
+Two files have been provided:
+1. **Marking Scheme (TXT)** - Contains the official marking scheme with ALL question details, value points, step marks, correct answers, and marking criteria in a formatted text format. This file includes:
+   - All question numbers and question text
+   - Section names and organization
+   - Maximum marks for each question
+   - Value points for non-MCQ questions
+   - Step marks distribution
+   - Correct answers and model answers
+   - Question types (MCQ, VSA, SA, LA, etc.)
+2. **Student Answer Sheet (PDF)** - Contains the student's answers to be evaluated
+
+**You MUST:**
+- Read and understand the marking scheme text file completely - it contains ALL the information you need about the questions
+- Use the marking scheme as the STRICT and ONLY reference for awarding marks
+- Extract question details (question numbers, sections, question text, question types) from the marking scheme
+- Compare the student's answers (from the answer sheet PDF) against the marking scheme
+- **CRITICAL: STEP-BY-STEP EVALUATION REQUIRED**
+  - For each question in the marking scheme, you MUST evaluate EACH value point/step individually
+  - For each value point (step) in the marking scheme:
+    1. Check if the student ATTEMPTED this step (look for the step's content in their answer)
+    2. Check if the step is CORRECT by verifying:
+       - The student's answer contains the expected concepts/key terms from expected_ocr_match field
+       - The step logic/calculation is correct
+       - The step follows the description requirements
+    3. **IF STEP IS CORRECT:** Award the full marks for that step (marks value from value point, typically 0.5)
+    4. **IF STEP IS WRONG OR MISSING:** Award 0 marks for that step
+  - Sum up all the marks from correctly answered steps to get the total marks for the question
+  - Do NOT award marks for incorrect or missing steps
+- For MCQ questions: Do NOT judge the answer. Only report the option label(s) the student marked in "selectedOption" ("B"; an array such as ["A", "C"] if the student marked more than one; null if not answered) and set "marksAwarded" to 0 - MCQ marks are computed from the answer key after evaluation
+- Use the step marks distribution exactly as specified in the marking scheme
+- Do NOT award marks for content not in the marking scheme, even if it seems correct
+- Do NOT exceed the maximum marks specified for each question in the marking scheme
+- Ensure the question numbers, sections, and question types match exactly with the marking scheme
+
+**IMPORTANT: Choice-Based Questions (Questions with 'OR')**
+
+- In descriptive, short answer, or long answer questions, you may encounter questions marked with "OR" (e.g., "Question 5(a) OR 5(b)")
+- The "OR" indicates that students have a CHOICE to answer EITHER of the questions
+- When evaluating:
+  - Check which question the student has attempted (they may have attempted one, both, or neither)
+  - If the student attempted one of the choice questions, evaluate ONLY that question using the corresponding marking scheme
+  - If the student attempted both choice questions, evaluate BOTH using their own marking scheme entries - only the better one will be counted in the total
+  - Set "attempted": false on a choice question the student did not answer
+  - Match the student's attempted question number with the correct marking scheme entry
+  - Be very careful to identify which specific question (e.g., 5(a) vs 5(b)) the student answered
+
+**Grounding Datastore Reference:**
+
+- A Vertex AI Search datastore is available and enabled for this evaluation
+- The datastore contains official CBSE marking scheme documents, sample question papers, and marking scheme examples
+- You can use the datastore to:
+  - Reference evaluation methodology and guidelines not explicitly covered in the provided marking scheme
+  - Understand marking standards and practices for edge cases
+  - Get clarification on how to handle situations not fully addressed in the marking scheme
+  - Reference subject-specific evaluation criteria and best practices
+- While the provided marking scheme text file is the PRIMARY and STRICT reference, the datastore can provide additional context and guidance for evaluation methodology
+- Always prioritize the provided marking scheme, but use the datastore for supplementary reference when needed
+
+**Evaluation Process:**
+1. Read the marking scheme text file completely - it contains ALL question details including question numbers, question text, sections, question types, maximum marks, value points (with step_id, description, expected_ocr_match, marks), step marks, and correct answers
+2. Read the student's answer sheet PDF
+3. For each question listed in the marking scheme, identify the corresponding answer in the student's answer sheet
+4. **For each question, evaluate EACH value point/step individually:**
+   - Check if the student attempted the step
+   - Verify correctness using expected_ocr_match and description fields from the marking scheme
+   - Award marks ONLY for correct steps
+   - Award 0 marks for incorrect or missing steps
+5. Calculate total marks for each question = Sum of marks from all correctly answered steps
+6. Document which value points/steps were correct (and awarded marks) and which were wrong/missing (and why marks were deducted)
+7. List the marks awarded for every value point in "value_points_awarded" (step_id and marksAwarded) - the question total is recomputed from these
+8. Rate your confidence in each question's marks from 0 to 1 in "confidence" (low when handwriting is hard to read, the answer is ambiguous or the marking scheme does not clearly cover it) and set "illegible": true when you could not read the student's answer - low-confidence questions are reviewed by a teacher
+
+**Output Format:**
+
+Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before or after.
+
+Return a JSON object with ALL questions (MCQ and Non-MCQ) in this exact format:
+
+{
+  "students": [
+    {
+      "studentName": "{{studentName}}",
+      "rollNumber": "{{rollNumber}}",
+      "questions": [
+        {
+          "questionNumber": "1",
+          "section": "Section name",
+          "questionType": "MCQ | VSA | SA | LA | Case | Map | Grammar | Writing | Numericals/Derivation",
+          "maxMarks": 10,
+          "marksAwarded": 8,
+          "awarded_marks": 8,
+          "out_of": 10,
+          "why_marks_awarded": [
+            "✓ Matched value points: <list the exact ideas/steps credited>",
+            "✓ Method/working shown: <brief note>",
+            "✓ Format/presentation credit: <if any>"
+          ],
+          "deductions": [
+            { "reason": "Spelling/grammar issue", "marks": 0.5 },
+            { "reason": "Missing a critical step", "marks": 1 }
+          ],
+          "tiered_feedback": {
+            "easy": "...",
+            "medium": "...",
+            "strict": "...",
+            "very_strict": "..."
+          },
+          "value_points_matched": ["point1", "point2"],
+          "value_points_awarded": [
+            { "step_id": 1, "marksAwarded": 0.5 },
+            { "step_id": 2, "marksAwarded": 0 }
+          ],
+          "attempted": true,
+          "confidence": 0.9,
+          "illegible": false
+        },
+        {
+          "questionNumber": "2",
+          "section": "Section name",
+          "questionType": "MCQ",
+          "maxMarks": 1,
+          "marksAwarded": 0,
+          "selectedOption": "B",
+          "attempted": true,
+          "confidence": 0.95,
+          "illegible": false
+        }
+      ]
+    }
+  ]
+}`
+    }
+  ],
+  // Marking scheme extraction from a question paper (processMarkingSchemeExtraction)
+  'marking-scheme-extraction': [
+    {
+      version: 1,
+      template: `You are analyzing a question paper to extract the marking scheme.
+
+**Context**
+Subject: {{subjectName}}
+Class: {{className}}
+Language: {{languageName}}
+
+**CRITICAL: Datastore Reference Requirements**
+
+You MUST consult the following documents from the Vertex AI Search datastore (all files are indexed and available):
+
+1. **"CBSE Marking Scheme" Document:**
+   - This file contains official CBSE marking prompts and guidelines on how to construct marking schemes
+   - Use this as your PRIMARY reference for marking scheme structure, value point allocation, step-marking rules, and formatting standards
+   - Apply the marking scheme construction guidelines from this document consistently throughout your extraction
+
+2. **Sample Marks Scheme and Question Papers Examples:**
+   - Refer to the Sample Marks Scheme files and corresponding Question Papers Examples for the subject: **{{subjectName}}**
+   - These files contain official CBSE question papers and their marking schemes for this specific subject
+   - Use these files to understand:
+     - The expected structure and format of marking schemes
+     - How value points are allocated for different question types
+     - Step-wise marking distribution patterns
+     - Acceptable answer formats and variations
+     - Subject-specific marking criteria
+
+3. **Extraction Process:**
+   - FIRST: Construct your marking scheme in line with the Sample Marks Scheme files for {{subjectReference}} from the datastore
+   - Ensure your marking scheme structure matches the official CBSE marking scheme format found in the Sample Marks Scheme files
+   - THEN: Extract the marking scheme from the provided question paper
+   - Apply the guidelines from the "CBSE Marking Scheme" document for consistency
+
+**Grounding Requirement:**
+- In addition to the question paper provided, you MUST actively search and reference:
+  - The "CBSE Marking Scheme" document for marking scheme construction methodology
+  - Sample Marks Scheme and Question Papers Examples for {{subjectReference}} to align your extraction
+  - Apply the rules, structure, and guidance from these documents consistently
+
+**Instructions:**
+- Extract ALL questions from the question paper
+- For each question, identify:
+  - Question number
+  - Section name (e.g., "Section A", "Section B")
+  - Question type (MCQ, VSA, SA, LA, etc.)
+  - Maximum marks
+  - For MCQ: Extract all options (A, B, C, D) and identify the correct option. DO NOT include valuePoints or modelAnswer for MCQs.
+  - For MCQ with more than one accepted option: list every accepted option in correctOption, separated by commas (e.g., "A, C"). If the scheme marks a question as cancelled/deleted, set "cancelled": true.
+  - For non-MCQ: Extract value points as an array of objects. Each value point MUST be worth exactly 0.5 marks.
+    - Each value point should have: step_id (1, 2, 3...), description (action/step taken), expected_ocr_match (key terms/numbers to look for), marks (always 0.5)
+    - If a question is worth N marks, create exactly 2N value points (each worth 0.5 marks)
+    - Example: 3 marks question = 6 value points (6 × 0.5 = 3)
+  - Question text (brief description)
+- **CRITICAL: Internal Choice Questions Handling:**
+  - If a question has internal choices (e.g., "Answer part (a) OR part (b)" or "Answer both (a) and (b)"), you MUST create SEPARATE question entries for EACH part
+  - For example, if Question 33 has parts (a) and (b), create TWO separate entries:
+    - One entry with questionNumber: "33 part a" (or "33(a)") with its own marks and valuePoints
+    - Another entry with questionNumber: "33 part b" (or "33(b)") with its own marks and valuePoints
+  - Each part of an internal choice question MUST have its own complete valuePoints array based on the marks allocated to that specific part
+  - Do NOT combine value points for multiple parts - each part gets its own separate value points
+  - Example: If Question 33 part (a) is worth 3 marks, create 6 value points (0.5 each) for part (a). If part (b) is worth 3 marks, create 6 separate value points (0.5 each) for part (b).
+- **CRITICAL: Choice Groups:**
+  - For EVERY internal choice where the student answers only ONE of the alternatives ("OR"), add an entry to the top-level "choiceGroups" array
+  - Each entry lists the questionNumbers of the alternatives exactly as written in the questions, e.g. {"groupId": "33", "questionNumbers": ["33 part a", "33 part b"]}
+  - Do NOT create a choice group for parts that must ALL be answered (e.g. "Answer both (a) and (b)")
+  - Count each choice group ONCE (the marks of one alternative) in sectionTotalMarks and totalMarks
+  - Use an empty array when the paper has no internal choices
+- Group questions by sections
+- Calculate total marks for each section
+- Calculate overall total marks
+- DO NOT include modelAnswer or model_answer_latex fields - they are NOT required
+
+**Output Format:**
+
+Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before or after.
+
+{
+  "examTitle": "Exam title from question paper",
+  "totalMarks": 100,
+  "sections": [
+    {
+      "sectionName": "Section A",
+      "sectionTotalMarks": 25,
+      "questions": [
+        {
+          "questionNumber": "1",
+          "questionText": "Brief question description",
+          "questionType": "MCQ",
+          "marks": 1,
+          "options": [
+            {"option": "A", "text": "Option A text"},
+            {"option": "B", "text": "Option B text"},
+            {"option": "C", "text": "Option C text"},
+            {"option": "D", "text": "Option D text"}
+          ],
+          "correctOption": "A",
+          "correctAnswer": "Concise correct answer (max 50 chars)",
+          "valuePoints": [],
+          "stepMarks": []
+        },
+        {
+          "questionNumber": "2",
+          "questionText": "Brief question description",
+          "questionType": "SA",
+          "marks": 2,
+          "options": [],
+          "correctOption": "",
+          "correctAnswer": "Concise correct answer (max 50 chars)",
+          "valuePoints": [
+            {
+              "step_id": 1,
+              "description": "Action or step taken (e.g., 'Substitute values into formula')",
+              "expected_ocr_match": "Key numbers or terms to look for in student handwriting",
+              "marks": 0.5
+            },
+            {
+              "step_id": 2,
+              "description": "Next step description",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 3,
+              "description": "Next step description",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 4,
+              "description": "Final step description",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            }
+          ],
+          "stepMarks": [0.5, 0.5, 0.5, 0.5]
+        },
+        {
+          "questionNumber": "33 part a",
+          "questionText": "Question 33 part (a) description",
+          "questionType": "LA",
+          "marks": 3,
+          "options": [],
+          "correctOption": "",
+          "correctAnswer": "Concise correct answer for part (a)",
+          "valuePoints": [
+            {
+              "step_id": 1,
+              "description": "First step for part (a)",
+              "expected_ocr_match": "Key terms/numbers for part (a)",
+              "marks": 0.5
+            },
+            {
+              "step_id": 2,
+              "description": "Second step for part (a)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 3,
+              "description": "Third step for part (a)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 4,
+              "description": "Fourth step for part (a)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 5,
+              "description": "Fifth step for part (a)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 6,
+              "description": "Final step for part (a)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            }
+          ],
+          "stepMarks": [0.5, 0.5, 0.5, 0.5, 0.5, 0.5]
+        },
+        {
+          "questionNumber": "33 part b",
+          "questionText": "Question 33 part (b) description",
+          "questionType": "LA",
+          "marks": 3,
+          "options": [],
+          "correctOption": "",
+          "correctAnswer": "Concise correct answer for part (b)",
+          "valuePoints": [
+            {
+              "step_id": 1,
+              "description": "First step for part (b)",
+              "expected_ocr_match": "Key terms/numbers for part (b)",
+              "marks": 0.5
+            },
+            {
+              "step_id": 2,
+              "description": "Second step for part (b)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 3,
+              "description": "Third step for part (b)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 4,
+              "description": "Fourth step for part (b)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 5,
+              "description": "Fifth step for part (b)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            },
+            {
+              "step_id": 6,
+              "description": "Final step for part (b)",
+              "expected_ocr_match": "Expected terms/numbers",
+              "marks": 0.5
+            }
+          ],
+          "stepMarks": [0.5, 0.5, 0.5, 0.5, 0.5, 0.5]
+        }
+      ]
+    }
+  ],
+  "choiceGroups": [
+    {
+      "groupId": "33",
+      "questionNumbers": ["33 part a", "33 part b"]
+    }
+  ]
+}
+
+**CRITICAL JSON REQUIREMENTS:**
+1. Return ONLY valid, parseable JSON. NO markdown code blocks (three backticks), NO explanations, NO text before or after.
+2. Start with { and end with }. Ensure all braces, brackets, and quotes are properly closed.
+3. All string values must be properly escaped:
+   - Use \\" for quotes inside strings
+   - Use \\n for newlines, \\t for tabs, \\r for carriage returns
+   - Escape ALL control characters (characters with ASCII code < 32) as \\uXXXX
+   - Do NOT include literal newlines, tabs, or other control characters in string values
+4. NO trailing commas before } or ].
+5. All property names must be in double quotes.
+6. Ensure the JSON is complete and well-formed.`
+    }
+  ],
+  // Step-by-step evaluation of a single answer sheet (processSimpleEvaluation)
+  'simple-evaluation': [
+    {
+      version: 1,
+      template: `You are an expert academic evaluator. Your task is to evaluate a student's answer sheet against the provided marking scheme.
+
+**MARKING SCHEME FILE:** The first file contains the marking scheme with value points for each question. Each value point has:
+- step_id: Step number
+- description: What the step should contain
+- expected_ocr_match: Key terms/numbers to look for
+- marks: Marks for this step (typically 0.5)
+
+**ANSWER SHEET FILE:** The second file contains the student's scanned answer sheet.
+
+**YOUR TASK:**
+1. For each question in the marking scheme, evaluate the student's answer step by step
+2. For each value point (step) in the marking scheme:
+   - Check if the student's answer contains the expected content
+   - Award marks (0.5) if the step is present and correct, 0 if missing or incorrect
+3. Calculate total marks for each question by summing all step marks
+4. For MCQ questions do NOT judge the answer: report the option label(s) the student marked in "selectedOption" ("B"; an array such as ["A", "C"] if more than one was marked; null if not answered), with no steps and totalMarks 0. MCQ marks are computed from the answer key after evaluation
+5. Return ONLY the evaluation results in the specified JSON format
+
+**OUTPUT FORMAT:**
+Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before or after.
+
+{
+  "studentName": "{{studentName}}",
+  "questions": [
+    {
+      "questionNumber": "1",
+      "steps": [
+        {
+          "step_id": 1,
+          "marksAwarded": 0.5,
+          "description": "Step description from marking scheme"
+        },
+        {
+          "step_id": 2,
+          "marksAwarded": 0.5,
+          "description": "Step description from marking scheme"
+        }
+      ],
+      "totalMarks": 1.0
+    },
+    {
+      "questionNumber": "2",
+      "steps": [
+        {
+          "step_id": 1,
+          "marksAwarded": 0.5,
+          "description": "Step description from marking scheme"
+        },
+        {
+          "step_id": 2,
+          "marksAwarded": 0.0,
+          "description": "Step description from marking scheme"
+        }
+      ],
+      "totalMarks": 0.5
+    },
+    {
+      "questionNumber": "3",
+      "steps": [],
+      "totalMarks": 0,
+      "selectedOption": "B"
+    }
+  ],
+  "grandTotal": 1.5
+}
+
+**CRITICAL REQUIREMENTS:**
+1. Evaluate ALL questions from the marking scheme
+2. For each question, evaluate ALL value points (steps)
+3. Award 0.5 marks for each correct step, 0 for incorrect/missing steps
+4. Calculate total marks per question by summing step marks
+5. Calculate grandTotal by summing all question totals
+6. Return ONLY the JSON, no other text`
+    }
+  ]
+};
+
+const latestOf = (versions) => versions.reduce((latest, entry) => (!latest || entry.version > latest.version ? entry : latest), null);
+
+/**
+ * Template of a prompt
+ * @param {string} templateId - Key of PROMPT_TEMPLATES
+ * @param {Object} [options]
+ * @param {Object} [options.tenantConfig] - Tenant config with promptTemplates (see getTenantConfig)
+ * @param {number} [options.version] - Version to use (default the latest); used to reproduce a stored result
+ * @param {string} [options.source] - 'default' or 'tenant' (default: the tenant override if there is one)
+ * @returns {{ templateId: string, version: number, source: string, template: string }}
+ * @throws {Error} - When the template or version does not exist
+ */
+function getPromptTemplate(templateId, { tenantConfig, version, source } = {}) {
+  if (!PROMPT_TEMPLATES[templateId]) {
+    throw new Error(`Unknown prompt template: ${templateId}`);
+  }
+
+  const overrides = (tenantConfig?.promptTemplates || []).filter(entry => entry.templateId === templateId && entry.template);
+  const useTenant = source ? source === 'tenant' : overrides.length > 0;
+  const versions = useTenant ? overrides : PROMPT_TEMPLATES[templateId];
+  const entry = version !== undefined ? versions.find(candidate => candidate.version === version) : latestOf(versions);
+  if (!entry) {
+    throw new Error(`Prompt template ${templateId} has no ${useTenant ? 'tenant ' : ''}version ${version}`);
+  }
+
+  return { templateId, version: entry.version, source: useTenant ? 'tenant' : 'default', template: entry.template };
+}
+
+/**
+ * Render a prompt
+ * @param {string} templateId - Key of PROMPT_TEMPLATES
+ * @param {Object} variables - Values of the template's {{placeholders}}
+ * @param {Object} [options] - { tenantConfig, version, source } (see getPromptTemplate)
+ * @returns {{ prompt: string, provenance: { templateId, templateVersion, templateSource, promptHash } }}
+ *          Placeholders without a value (optional fields such as rollNumber) render empty.
+ */
+function renderPrompt(templateId, variables = {}, options = {}) {
+  const { version, source, template } = getPromptTemplate(templateId, options);
+
+  const prompt = template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => String(variables[name] ?? ''));
+
+  return {
+    prompt,
+    provenance: {
+      templateId,
+      templateVersion: version,
+      templateSource: source,
+      promptHash: crypto.createHash('sha256').update(prompt).digest('hex')
+    }
+  };
+}
+
+module.exports = {
+  PROMPT_TEMPLATES,
+  getPromptTemplate,
+  renderPrompt
+};
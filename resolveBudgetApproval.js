@@ -0,0 +1,106 @@
+/**
+ * Google Cloud Function: Resolve Budget Approval
+ *
+ * Records a decision on a request that was held back because it would exceed
+ * the tenant's monthly LLM budget. An approved request is queued again for its
+ * original function with the approval attached, so it passes the budget check;
+ * a rejected request is dropped.
+ */
+
+const {
+  connectToDatabase,
+  handleSaveError,
+  BudgetApproval
+} = require('./utils');
+const { getTaskQueue } = require('./taskQueue');
+
+// ============================================================================
+// CLOUD FUNCTION: RESOLVE BUDGET APPROVAL
+// ============================================================================
+exports.resolveBudgetApproval = async (req, res) => {
+  console.log('\n🚀 ============ BUDGET APPROVAL TRIGGERED ============');
+  console.log('   Timestamp:', new Date().toISOString());
+
+  try {
+    const payload = req.body;
+    const decidedBy = payload.decidedBy || payload.updatedBy || 'system';
+
+    console.log('\n📋 Payload received:');
+    console.log('   Tenant ID:', payload.tenantId || '❌ MISSING');
+    console.log('   Approval ID:', payload.approvalId || '❌ MISSING');
+    console.log('   Decision:', payload.decision || '❌ MISSING');
+    console.log('===================================================\n');
+
+    // Validate payload
+    if (!payload.tenantId || !payload.approvalId) {
+      throw new Error('Invalid payload: tenantId and approvalId are required');
+    }
+    if (!['approve', 'reject'].includes(payload.decision)) {
+      throw new Error("Invalid payload: decision must be 'approve' or 'reject'");
+    }
+
+    await connectToDatabase();
+
+    // Claim the pending approval, so a repeated request cannot queue the work twice
+    const approval = await BudgetApproval.findOneAndUpdate(
+      { _id: payload.approvalId, tenantId: payload.tenantId, status: 'pending' },
+      {
+        status: payload.decision === 'approve' ? 'approved' : 'rejected',
+        decidedBy,
+        decidedAt: new Date(),
+        note: payload.note
+      },
+      { new: true }
+    );
+
+    if (!approval) {
+      const existing = await BudgetApproval.findOne({ _id: payload.approvalId, tenantId: payload.tenantId });
+      if (!existing) {
+        throw new Error(`Budget approval not found: ${payload.approvalId}`);
+      }
+      console.log(`   ℹ️  Budget approval already ${existing.status}`);
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: `Budget approval already ${existing.status}`,
+        approvalId: existing._id,
+        status: existing.status
+      });
+    }
+
+    if (approval.status === 'rejected') {
+      console.log(`   ⛔ Over-budget ${approval.functionName} request rejected by ${decidedBy}`);
+      if (approval.examId) {
+        await handleSaveError({
+          examId: approval.examId,
+          tenantId: approval.tenantId,
+          error: `Over-budget request rejected by ${decidedBy}${payload.note ? `: ${payload.note}` : ''}`,
+          updatedBy: decidedBy
+        });
+      }
+    } else {
+      // The held request's run was closed with the refusal, so the approved request starts a new run
+      const { runId, ...originalPayload } = approval.payload || {};
+      await getTaskQueue().enqueue(approval.functionName, {
+        ...originalPayload,
+        budgetApprovalId: approval._id.toString()
+      }, { taskId: `budget-approval-${approval._id}` });
+      console.log(`   ✅ Over-budget ${approval.functionName} request approved by ${decidedBy} and queued`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approval.status === 'approved' ? 'Request approved and queued' : 'Request rejected',
+      approvalId: approval._id,
+      status: approval.status,
+      functionName: approval.functionName
+    });
+
+  } catch (error) {
+    console.error('❌ Error in resolveBudgetApproval:', error);
+    res.status(200).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
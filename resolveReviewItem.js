@@ -0,0 +1,120 @@
+/**
+ * Google Cloud Function: Resolve Review Item
+ *
+ * Records a teacher's decision on a low-confidence question queued for review:
+ * confirms the evaluator's marks or replaces them (rescoring the student), or
+ * skips every pending item of an exam. The exam moves from 'pending_review' to
+ * 'evaluated' once no item is pending.
+ */
+
+const {
+  connectToDatabase,
+  applyReviewResolution,
+  skipPendingReviewItems,
+  refreshExamReviewStatus,
+  ReviewItem
+} = require('./utils');
+
+// Default value for database schema compatibility
+const DEFAULT_EVALUATION_LEVEL = 'medium';
+
+// ============================================================================
+// CLOUD FUNCTION: RESOLVE REVIEW ITEM
+// ============================================================================
+exports.resolveReviewItem = async (req, res) => {
+  console.log('\n🚀 ============ REVIEW RESOLUTION TRIGGERED ============');
+  console.log('   Timestamp:', new Date().toISOString());
+
+  try {
+    const payload = req.body;
+    const resolvedBy = payload.resolvedBy || payload.updatedBy || 'system';
+
+    console.log('\n📋 Payload received:');
+    console.log('   Tenant ID:', payload.tenantId || '❌ MISSING');
+    console.log('   Review Item ID:', payload.reviewItemId || '(none)');
+    console.log('   Exam ID:', payload.examId || '(none)');
+    console.log('   Skip pending:', payload.skipPending === true);
+    console.log('===================================================\n');
+
+    // Validate payload
+    if (!payload.tenantId) {
+      throw new Error('Invalid payload: tenantId is required');
+    }
+    if (!payload.reviewItemId && !(payload.examId && payload.skipPending === true)) {
+      throw new Error('Invalid payload: reviewItemId, or examId with skipPending: true, is required');
+    }
+
+    await connectToDatabase();
+
+    // Skip every pending item of the exam (e.g. the teacher accepts the evaluator's marks as they are)
+    if (!payload.reviewItemId) {
+      const evaluationLevel = payload.evaluationLevel || DEFAULT_EVALUATION_LEVEL;
+      const skippedCount = await skipPendingReviewItems({
+        examId: payload.examId,
+        tenantId: payload.tenantId,
+        evaluationLevel,
+        note: payload.note,
+        resolvedBy
+      });
+      console.log(`   ⏭️  Skipped ${skippedCount} pending review item(s)`);
+
+      const examReview = await refreshExamReviewStatus({ examId: payload.examId, tenantId: payload.tenantId, evaluationLevel, updatedBy: resolvedBy });
+      return res.status(200).json({
+        success: true,
+        message: 'Pending review items skipped',
+        examId: payload.examId,
+        skippedCount,
+        examStatus: examReview.status,
+        pendingReviewCount: examReview.pendingReviewCount
+      });
+    }
+
+    const reviewItem = await ReviewItem.findOne({ _id: payload.reviewItemId, tenantId: payload.tenantId });
+    if (!reviewItem) {
+      throw new Error(`Review item not found: ${payload.reviewItemId}`);
+    }
+
+    // Repeated request for an item that is already closed: acknowledge without writing
+    if (reviewItem.status !== 'pending') {
+      console.log(`   ℹ️  Review item already ${reviewItem.status}`);
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: `Review item already ${reviewItem.status}`,
+        reviewItemId: reviewItem._id,
+        status: reviewItem.status
+      });
+    }
+
+    const { originalMarks, marksAwarded } = await applyReviewResolution(reviewItem, {
+      marksAwarded: payload.marksAwarded,
+      note: payload.note,
+      resolvedBy
+    });
+    console.log(`   ✅ Question ${reviewItem.questionNumber} of ${reviewItem.studentName}: ${originalMarks} → ${marksAwarded}`);
+
+    const examReview = await refreshExamReviewStatus({
+      examId: reviewItem.examId,
+      tenantId: reviewItem.tenantId,
+      evaluationLevel: reviewItem.evaluationLevel,
+      updatedBy: resolvedBy
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Review item resolved',
+      reviewItemId: reviewItem._id,
+      originalMarks,
+      marksAwarded,
+      examStatus: examReview.status,
+      pendingReviewCount: examReview.pendingReviewCount
+    });
+
+  } catch (error) {
+    console.error('❌ Error in resolveReviewItem:', error);
+    res.status(200).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
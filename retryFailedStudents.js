@@ -0,0 +1,241 @@
+/**
+ * Google Cloud Function: Retry Failed Students
+ *
+ * Re-evaluates only the students of an exam whose evaluation failed (open
+ * EvaluationFailure records) or who have no result at all, and merges them
+ * into the exam's existing results. Students that already have a result are
+ * not touched.
+ */
+
+const crypto = require('crypto');
+const {
+  mapWithConcurrency,
+  mergeEvaluationResults,
+  addTokenUsage,
+  connectToDatabase,
+  saveResultsToMongoDB,
+  updateExamStatus,
+  checkTenantBudget,
+  Exam,
+  Evaluation,
+  EvaluationFailure
+} = require('./utils');
+const { evaluateStudent, getStudentKey } = require('./processEvaluation');
+const { describeStudentFailure } = require('./evaluationFailures');
+const { canTransitionExam, transitionExam } = require('./examLifecycle');
+
+// Default value for database schema compatibility
+const DEFAULT_EVALUATION_LEVEL = 'medium';
+
+// Default number of students evaluated in parallel
+const DEFAULT_EVALUATION_CONCURRENCY = 3;
+
+// ============================================================================
+// CLOUD FUNCTION: RETRY FAILED STUDENTS
+// ============================================================================
+exports.retryFailedStudents = async (req, res) => {
+  console.log('\n🚀 ============ RETRY FAILED STUDENTS TRIGGERED ============');
+  console.log('   Timestamp:', new Date().toISOString());
+
+  // Status of the exam before this retry moved it to 'evaluating'
+  let examStatusBefore = null;
+
+  try {
+    const payload = req.body;
+    const evaluationLevel = payload.evaluationLevel || DEFAULT_EVALUATION_LEVEL;
+    const includeMissing = payload.includeMissing !== false;
+
+    console.log('\n📋 Payload received:');
+    console.log('   Exam ID:', payload.examId || '❌ MISSING');
+    console.log('   Tenant ID:', payload.tenantId || '❌ MISSING');
+    console.log('   Evaluation level:', evaluationLevel);
+    console.log('   Include missing students:', includeMissing);
+    console.log('===================================================\n');
+
+    // Validate payload
+    if (!payload.examId) {
+      throw new Error('Invalid payload: examId is required');
+    }
+    if (!payload.tenantId) {
+      throw new Error('Invalid payload: tenantId is required');
+    }
+    if (!payload.questionPaperUri || !payload.markingSchemeUri) {
+      throw new Error('Invalid payload: questionPaperUri and markingSchemeUri are required');
+    }
+    if (!payload.examMetadata) {
+      throw new Error('Invalid payload: examMetadata is required');
+    }
+
+    await connectToDatabase();
+
+    const exam = await Exam.findOne({ _id: payload.examId, tenantId: payload.tenantId, softDelete: false });
+    if (!exam) {
+      throw new Error('Exam not found');
+    }
+    examStatusBefore = exam.status;
+
+    // Failed students, plus students that never got a result (e.g. the run died before saving them)
+    const openFailures = await EvaluationFailure.find({
+      examId: exam._id, tenantId: payload.tenantId, evaluationLevel, status: 'open'
+    }).lean();
+    const failedIds = new Set(openFailures.map(f => f.studentId.toString()));
+
+    let evaluatedIds = null;
+    if (includeMissing) {
+      const evaluatedStudentIds = await Evaluation.distinct('studentId', {
+        examId: exam._id, tenantId: payload.tenantId, evaluationLevel, isCurrent: { $ne: false }, softDelete: false
+      });
+      evaluatedIds = new Set(evaluatedStudentIds.map(id => id.toString()));
+    }
+
+    const students = exam.studentAnswerSheets
+      .filter(s => s.answerSheetUri && s.studentId)
+      .filter(s => failedIds.has(s.studentId.toString()) || (evaluatedIds && !evaluatedIds.has(s.studentId.toString())))
+      .map(s => ({
+        studentId: s.studentId.toString(),
+        studentName: s.studentName,
+        rollNumber: s.rollNumber,
+        answerSheetUri: s.answerSheetUri,
+        pageCount: s.pageCount
+      }));
+
+    // Repeated request after a successful retry: nothing left to do
+    if (students.length === 0) {
+      console.log('   ℹ️  No failed or missing students');
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'No failed or missing students to retry',
+        examId: payload.examId,
+        studentsRetried: 0
+      });
+    }
+
+    const runId = `retry-${crypto.randomUUID()}`;
+    const createdBy = payload.createdBy || 'cloud-function';
+    console.log(`   🔁 Retrying ${students.length} student(s) (${failedIds.size} failed), run ${runId}`);
+
+    // The exam keeps its results and status when the retry is over budget
+    const budget = await checkTenantBudget({
+      tenantId: payload.tenantId,
+      functionName: 'retryFailedStudents',
+      calls: students.length,
+      payload,
+      requestedBy: payload.createdBy,
+      // Redeliveries of an approved request keep its approval
+      consumerKey: req.headers?.['x-cloudtasks-taskname']
+    });
+    if (!budget.allowed) {
+      return res.status(200).json({
+        success: false,
+        budgetExceeded: true,
+        action: budget.action,
+        approvalId: budget.approvalId,
+        message: budget.message,
+        examId: payload.examId,
+        monthlySpend: budget.monthlySpend,
+        monthlyBudget: budget.monthlyBudget,
+        estimatedCost: budget.estimatedCost
+      });
+    }
+
+    await updateExamStatus({
+      examId: payload.examId,
+      tenantId: payload.tenantId,
+      status: 'evaluating',
+      updatedBy: createdBy,
+      note: `Retry of ${students.length} student(s), run ${runId}`
+    });
+
+    const concurrency = parseInt(payload.concurrency || process.env.EVALUATION_CONCURRENCY || DEFAULT_EVALUATION_CONCURRENCY, 10);
+    // By roster index, like the results, so failures are reported in roster order
+    const failuresByIndex = new Array(students.length).fill(null);
+    const studentResults = await mapWithConcurrency(students, concurrency, async (student, index) => {
+      console.log(`\n   Processing: ${student.studentName} (Roll: ${student.rollNumber})`);
+      try {
+        const result = await evaluateStudent(student, { ...payload, runId });
+        console.log(`   ✅ Completed: ${student.studentName}`);
+        return result;
+      } catch (error) {
+        console.error(`   ❌ Failed again for ${student.studentName}:`, error.message);
+        failuresByIndex[index] = describeStudentFailure(getStudentKey(student), error);
+        return null;
+      }
+    });
+
+    const allResults = mergeEvaluationResults(studentResults);
+    const studentFailures = failuresByIndex.filter(Boolean);
+
+    // Keep the level's running token total, as continuation batches do
+    const priorTokenUsage = exam.evaluatedLevels?.find(el => el.level === evaluationLevel)?.tokenUsage;
+    if (priorTokenUsage) {
+      allResults.tokenUsage = addTokenUsage(allResults.tokenUsage, priorTokenUsage);
+    }
+
+    console.log('\n💾 Merging retried students into the exam results...');
+    await saveResultsToMongoDB({
+      examId: payload.examId,
+      tenantId: payload.tenantId,
+      evaluationLevel,
+      results: allResults,
+      createdBy,
+      rawResponse: allResults.rawResponse,
+      runId,
+      failures: studentFailures,
+      retry: true
+    });
+    console.log('✅ Results saved successfully');
+
+    res.status(200).json({
+      success: true,
+      message: 'Failed and missing students re-evaluated',
+      examId: payload.examId,
+      runId,
+      studentsRetried: students.length,
+      studentsProcessed: Object.keys(allResults.students).length,
+      studentsFailed: studentFailures.length
+    });
+
+  } catch (error) {
+    console.error('\n❌ Error retrying failed students:', error);
+
+    // The exam keeps the results it had: return it to its status before the retry instead of failing it
+    try {
+      await connectToDatabase();
+      await restoreExamStatus({
+        examId: req.body?.examId,
+        tenantId: req.body?.tenantId,
+        status: examStatusBefore,
+        error: error.message,
+        updatedBy: req.body?.createdBy || 'cloud-function'
+      });
+    } catch (dbError) {
+      console.error('❌ Failed to save error status:', dbError);
+    }
+
+    // Return 200 to acknowledge task (not 500 which would retry)
+    res.status(200).json({
+      success: false,
+      message: 'Retry of failed students failed',
+      error: error.message,
+      examId: req.body?.examId
+    });
+  }
+};
+
+/**
+ * Put an exam back in the state it had before a failed retry and record the error
+ * The retry only touched some students, so the exam's other results still stand.
+ */
+async function restoreExamStatus({ examId, tenantId, status, error, updatedBy }) {
+  if (!examId || !tenantId) return;
+  const exam = await Exam.findOne({ _id: examId, tenantId, softDelete: false });
+  if (!exam) return;
+
+  if (status && exam.status !== status && canTransitionExam(exam.status, status)) {
+    transitionExam(exam, status, { updatedBy, note: 'Retry of failed students failed' });
+  }
+  exam.lastError = { message: error || 'Unknown error', at: new Date() };
+  exam.updatedBy = updatedBy;
+  await exam.save();
+}
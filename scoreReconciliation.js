@@ -0,0 +1,172 @@
+/**
+ * Post-LLM score reconciliation
+ *
+ * The evaluator's numbers are not trusted as returned. For every question the
+ * total is recomputed from the awarded value points, step and question marks
+ * are clamped to the marking scheme's limits, and totals are snapped down to
+ * the scheme's step granularity. Each change is returned as a correction so
+ * it can be stored on the evaluation.
+ */
+
+// Step size when the scheme does not give one (extraction demands 0.5-mark value points)
+const DEFAULT_STEP_MARKS = 0.5;
+
+// Tolerance for floating point sums
+const EPSILON = 1e-6;
+
+const normalizeQuestionNumber = (questionNumber) => String(questionNumber ?? '').trim().toLowerCase();
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+const MARKS_PRECISION = 1000;
+const roundMarks = (value) => Math.round(value * MARKS_PRECISION) / MARKS_PRECISION;
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Finest grid that every combination of value points lies on
+ * (steps of 1 and 1.5 give 0.5, so a total of 2.5 is kept)
+ */
+function stepGranularity(stepMarks) {
+  const units = [...stepMarks.values()].map(marks => Math.round(marks * MARKS_PRECISION));
+  return units.reduce(gcd, 0) / MARKS_PRECISION || DEFAULT_STEP_MARKS;
+}
+
+function createCorrection(code, questionNumber, original, corrected, message, stepId = null) {
+  return { code, questionNumber: questionNumber === null ? null : String(questionNumber), stepId, original, corrected, message };
+}
+
+// ============================================================================
+// SCHEME LIMITS
+// ============================================================================
+
+/**
+ * Build per-question limits from a marking scheme
+ * @param {Object} markingScheme - { sections: [{ questions }] } (extracted JSON or MarkingScheme document)
+ * @returns {Map<string, { maxMarks, stepMarks: Map<number, number>, granularity }>}
+ *          keyed by normalized question number; granularity is the greatest common divisor of the value points
+ */
+function buildScoreLimits(markingScheme) {
+  const limits = new Map();
+  (markingScheme?.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => {
+      const stepMarks = new Map();
+      (question.valuePoints || []).forEach(vp => {
+        const marks = toNumber(vp.marks);
+        if (marks !== null && marks > 0) stepMarks.set(Number(vp.step_id), marks);
+      });
+
+      const maxMarks = toNumber(question.marks);
+      limits.set(normalizeQuestionNumber(question.questionNumber), {
+        maxMarks: maxMarks !== null && maxMarks > 0 ? maxMarks : null,
+        stepMarks,
+        granularity: stepMarks.size > 0 ? stepGranularity(stepMarks) : DEFAULT_STEP_MARKS
+      });
+    });
+  });
+  return limits;
+}
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+/**
+ * Clamp the awarded marks of each step to [0, the value point's marks]
+ */
+function reconcileSteps(question, stepsField, limit, corrections) {
+  return question[stepsField].map(step => {
+    const awarded = toNumber(step.marksAwarded) ?? 0;
+    const stepMax = limit?.stepMarks.get(Number(step.step_id));
+    const corrected = Math.max(0, stepMax !== undefined ? Math.min(awarded, stepMax) : awarded);
+
+    if (Math.abs(corrected - awarded) > EPSILON || step.marksAwarded !== awarded) {
+      corrections.push(createCorrection('step_marks_clamped', question.questionNumber, step.marksAwarded, corrected,
+        `Step ${step.step_id} awarded ${step.marksAwarded}, limit ${stepMax ?? 'unknown'}`, Number(step.step_id)));
+    }
+    return { ...step, marksAwarded: corrected };
+  });
+}
+
+/**
+ * Reconcile the marks of evaluated questions
+ * @param {Array} questions - Evaluated questions
+ * @param {Map} [limits] - From buildScoreLimits; without it the question's own maxMarks is the limit
+ * @param {Object} [options]
+ * @param {string} [options.stepsField] - Field with [{ step_id, marksAwarded }] (default 'value_points_awarded')
+ * @param {string} [options.totalField] - Field with the question total (default 'marksAwarded')
+ * @returns {{ questions: Array, corrections: Array }}
+ */
+function reconcileQuestionScores(questions = [], limits = new Map(), { stepsField = 'value_points_awarded', totalField = 'marksAwarded' } = {}) {
+  const corrections = [];
+
+  const reconciled = questions.map(question => {
+    const limit = limits.get(normalizeQuestionNumber(question.questionNumber));
+    const result = { ...question };
+    const reported = toNumber(question[totalField]);
+    let total = reported ?? 0;
+
+    if (reported === null) {
+      corrections.push(createCorrection('missing_marks', question.questionNumber, question[totalField] ?? null, 0,
+        'No numeric marks returned'));
+    }
+
+    // Totals follow the awarded value points
+    if (Array.isArray(question[stepsField]) && question[stepsField].length > 0) {
+      result[stepsField] = reconcileSteps(question, stepsField, limit, corrections);
+      const stepTotal = roundMarks(result[stepsField].reduce((sum, step) => sum + step.marksAwarded, 0));
+      if (Math.abs(stepTotal - total) > EPSILON) {
+        corrections.push(createCorrection('total_recomputed_from_steps', question.questionNumber, total, stepTotal,
+          `Reported ${total}, value points add up to ${stepTotal}`));
+        total = stepTotal;
+      }
+    }
+
+    // MCQs scored against the answer key are exact already
+    if (question.scoredBy !== 'answer_key') {
+      const granularity = limit?.granularity ?? DEFAULT_STEP_MARKS;
+      const snapped = roundMarks(Math.floor(total / granularity + EPSILON) * granularity);
+      if (Math.abs(snapped - total) > EPSILON) {
+        corrections.push(createCorrection('snapped_to_step', question.questionNumber, total, snapped,
+          `${total} is not a multiple of ${granularity}`));
+        total = snapped;
+      }
+    }
+
+    const maxMarks = limit?.maxMarks ?? toNumber(question.maxMarks ?? question.out_of);
+    if (total < 0) {
+      corrections.push(createCorrection('negative_marks', question.questionNumber, total, 0, 'Marks cannot be negative'));
+      total = 0;
+    }
+    if (maxMarks !== null && maxMarks !== undefined && total > maxMarks + EPSILON) {
+      corrections.push(createCorrection('clamped_to_max', question.questionNumber, total, maxMarks,
+        `${total} exceeds the maximum of ${maxMarks}`));
+      total = maxMarks;
+    }
+
+    result[totalField] = total;
+    return result;
+  });
+
+  return { questions: reconciled, corrections };
+}
+
+/**
+ * Recompute a grand total from question totals
+ * @returns {{ grandTotal: number, correction: Object|null }}
+ */
+function reconcileGrandTotal(questions, reportedGrandTotal, totalField = 'totalMarks') {
+  const grandTotal = roundMarks(questions.reduce((sum, q) => sum + (toNumber(q[totalField]) ?? 0), 0));
+  const reported = toNumber(reportedGrandTotal);
+  const correction = reported === null || Math.abs(reported - grandTotal) > EPSILON
+    ? createCorrection('grand_total_recomputed', null, reportedGrandTotal ?? null, grandTotal,
+      `Reported grand total ${reportedGrandTotal}, questions add up to ${grandTotal}`)
+    : null;
+  return { grandTotal, correction };
+}
+
+module.exports = {
+  buildScoreLimits,
+  reconcileQuestionScores,
+  reconcileGrandTotal
+};
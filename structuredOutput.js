@@ -0,0 +1,306 @@
+/**
+ * Schema-validated structured output
+ *
+ * Each LLM call declares a JSON schema for its expected output. The parsed
+ * response is validated against it and, when it does not conform, the model
+ * is sent a corrective follow-up prompt listing the exact violations.
+ */
+
+const { parseJSONWithRepair } = require('./jsonRepair');
+
+// Every re-ask is another full model call
+const MAX_REASKS_LIMIT = 5;
+
+/**
+ * Re-ask budget from a payload or env value ('3', 3 or missing), within 0..MAX_REASKS_LIMIT
+ */
+function parseMaxReasks(value, fallback) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(MAX_REASKS_LIMIT, Math.max(0, parsed));
+}
+
+const DEFAULT_MAX_REASKS = parseMaxReasks(process.env.LLM_MAX_REASKS, 2);
+const DEFAULT_MAX_CONTINUATIONS = parseInt(process.env.LLM_MAX_CONTINUATIONS || '3', 10);
+
+// Shortest overlap treated as the model repeating the end of its previous part
+const MIN_CONTINUATION_OVERLAP = 12;
+
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON schema subset
+ * Supports: type, enum, required, properties, items, minItems, minimum, maximum
+ * @param {*} value - Parsed value
+ * @param {Object} schema - JSON schema
+ * @param {string} path - JSON path of the value (for messages)
+ * @returns {string[]} - List of violations (empty when valid)
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+  const violations = [];
+  if (!schema) return violations;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      violations.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return violations;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    violations.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push(`${path}: must contain at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  } else if (value && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        violations.push(`${path}.${key}: is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        violations.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return violations;
+}
+
+// ============================================================================
+// RESPONSE HELPERS
+// ============================================================================
+
+/**
+ * Extract the text of the first candidate, failing loudly on empty responses
+ */
+function extractResponseText(response) {
+  if (!response.candidates || response.candidates.length === 0) {
+    console.error('   ❌ No candidates in response:', JSON.stringify(response, null, 2));
+    throw new Error('No candidates returned from LLM');
+  }
+
+  const candidate = response.candidates[0];
+  if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
+    console.error('   ❌ No content parts in candidate:', JSON.stringify(candidate, null, 2));
+    throw new Error('No content parts in LLM response');
+  }
+
+  const text = candidate.content.parts.map(part => part.text || '').join('');
+  if (!text) {
+    console.error('   ❌ No text in response parts:', JSON.stringify(candidate.content.parts, null, 2));
+    throw new Error('No text content in LLM response');
+  }
+
+  return text;
+}
+
+/**
+ * Sum usage metadata across several model calls
+ */
+function addUsageMetadata(total, usageMetadata = {}) {
+  const fields = ['promptTokenCount', 'candidatesTokenCount', 'totalTokenCount', 'thoughtsTokenCount', 'cachedContentTokenCount', 'toolUsePromptTokenCount'];
+  const sum = { ...total };
+  fields.forEach(field => {
+    sum[field] = (sum[field] || 0) + (usageMetadata[field] || 0);
+  });
+  return sum;
+}
+
+function buildCorrectionPrompt(parseError, violations) {
+  const problems = parseError
+    ? `Your previous response was not valid JSON: ${parseError}`
+    : `Your previous response did not match the required JSON structure. Violations:\n${violations.map(v => `- ${v}`).join('\n')}`;
+
+  return `${problems}
+
+Return the COMPLETE corrected JSON object, fixing every problem listed above.
+Return ONLY valid JSON. NO markdown code blocks, NO explanations, NO text before or after.`;
+}
+
+// ============================================================================
+// CONTINUATION OF TRUNCATED RESPONSES
+// ============================================================================
+
+const CONTINUATION_PROMPT = `Your previous response was cut off because it reached the output token limit.
+Continue EXACTLY from the last character you produced. Do NOT repeat any earlier text, do NOT restart the JSON, and do NOT add markdown code blocks or explanations.`;
+
+/**
+ * Append a continuation to the text produced so far.
+ * Strips markdown fences and removes any tail of the previous part the model repeated.
+ */
+function stitchContinuation(previous, continuation) {
+  const cleaned = continuation.replace(/^\s*```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/, '');
+
+  const maxOverlap = Math.min(previous.length, cleaned.length);
+  for (let length = maxOverlap; length >= MIN_CONTINUATION_OVERLAP; length--) {
+    if (previous.endsWith(cleaned.substring(0, length))) {
+      return previous + cleaned.substring(length);
+    }
+  }
+  return previous + cleaned;
+}
+
+/**
+ * Generate content and, while the model stops with MAX_TOKENS, ask it to continue
+ * from where it stopped, stitching the parts into one response text.
+ * @returns {Promise<{ text: string, usageMetadata: Object, callUsageMetadata: Object[], continuations: number, truncated: boolean }>}
+ *          callUsageMetadata: usage of each call, for pricing per call
+ */
+async function generateCompleteText(generativeModel, request, maxContinuations = DEFAULT_MAX_CONTINUATIONS) {
+  let contents = request.contents;
+  let usageMetadata = {};
+  const callUsageMetadata = [];
+  let text = '';
+  let continuations = 0;
+
+  while (true) {
+    const result = await generativeModel.generateContent({ ...request, contents });
+    usageMetadata = addUsageMetadata(usageMetadata, result.response.usageMetadata);
+    callUsageMetadata.push(result.response.usageMetadata || {});
+
+    const part = extractResponseText(result.response);
+    text = continuations === 0 ? part : stitchContinuation(text, part);
+
+    const truncated = result.response.candidates[0].finishReason === 'MAX_TOKENS';
+    if (!truncated || continuations >= maxContinuations) {
+      if (truncated) {
+        console.warn(`   ⚠️  Response still truncated after ${continuations} continuation(s)`);
+      }
+      return { text, usageMetadata, callUsageMetadata, continuations, truncated };
+    }
+
+    continuations++;
+    console.log(`   ✂️  Response hit MAX_TOKENS at ${text.length} characters, requesting continuation ${continuations}/${maxContinuations}...`);
+    contents = [
+      ...request.contents,
+      { role: 'model', parts: [{ text }] },
+      { role: 'user', parts: [{ text: CONTINUATION_PROMPT }] }
+    ];
+  }
+}
+
+// ============================================================================
+// STRUCTURED GENERATION
+// ============================================================================
+
+/**
+ * Generate content, parse it and validate it against a JSON schema.
+ * Re-asks the model with the exact violations until the output conforms or
+ * the re-ask budget is exhausted.
+ *
+ * @param {Object} options
+ * @param {Object} options.generativeModel - Model from llmProvider.getGenerativeModel
+ * @param {Object} options.request - generateContent request
+ * @param {Object} options.schema - JSON schema for the expected output
+ * @param {number|string} [options.maxReasks] - Corrective follow-ups allowed, at most 5 (default LLM_MAX_REASKS or 2)
+ * @param {number} [options.maxContinuations] - Continuations allowed per response cut off by MAX_TOKENS (default LLM_MAX_CONTINUATIONS or 3)
+ * @returns {Promise<{ data: Object, rawResponse: string, jsonRepairs: string[], continuation: Object, usageMetadata: Object,
+ *                    callUsageMetadata: Object[], attempts: number }>} - callUsageMetadata: usage of each model call
+ */
+async function generateStructuredContent({ generativeModel, request, schema, maxReasks: requestedMaxReasks, maxContinuations = DEFAULT_MAX_CONTINUATIONS }) {
+  // Payloads may carry the budget as a string
+  const maxReasks = parseMaxReasks(requestedMaxReasks, DEFAULT_MAX_REASKS);
+  let contents = [...request.contents];
+  let usageMetadata = {};
+  const callUsageMetadata = [];
+  let lastRawResponse = '';
+  let lastProblems = [];
+  const continuation = { needed: false, continuations: 0, truncated: false };
+
+  for (let attempt = 1; attempt <= maxReasks + 1; attempt++) {
+    const completion = await generateCompleteText(generativeModel, { ...request, contents }, maxContinuations);
+    usageMetadata = addUsageMetadata(usageMetadata, completion.usageMetadata);
+    callUsageMetadata.push(...completion.callUsageMetadata);
+    continuation.needed = continuation.needed || completion.continuations > 0 || completion.truncated;
+    continuation.continuations += completion.continuations;
+    continuation.truncated = completion.truncated;
+
+    const rawResponse = String(completion.text || '').trim();
+    lastRawResponse = rawResponse;
+
+    let data;
+    let jsonRepairs = [];
+    let parseError = null;
+    let violations = [];
+    try {
+      ({ data, repairs: jsonRepairs } = parseJSONWithRepair(rawResponse));
+      violations = validateAgainstSchema(data, schema);
+    } catch (error) {
+      parseError = error.message;
+    }
+
+    if (!parseError && violations.length === 0) {
+      if (attempt > 1) {
+        console.log(`   ✅ Structured output valid after ${attempt - 1} re-ask(s)`);
+      }
+      if (jsonRepairs.length > 0) {
+        console.log(`   🔧 JSON repairs applied: ${jsonRepairs.join(', ')}`);
+      }
+      return { data, rawResponse, jsonRepairs, continuation, usageMetadata, callUsageMetadata, attempts: attempt };
+    }
+
+    lastProblems = parseError ? [parseError] : violations;
+    console.warn(`   ⚠️  Attempt ${attempt}: ${parseError ? 'invalid JSON' : `${violations.length} schema violation(s)`}`);
+    lastProblems.slice(0, 10).forEach(problem => console.warn(`      - ${problem}`));
+
+    if (attempt <= maxReasks) {
+      console.log(`   🔁 Re-asking model (${attempt}/${maxReasks})...`);
+      contents = [
+        ...contents,
+        { role: 'model', parts: [{ text: rawResponse }] },
+        { role: 'user', parts: [{ text: buildCorrectionPrompt(parseError, violations) }] }
+      ];
+    }
+  }
+
+  const error = new Error(`Structured output invalid after ${maxReasks} re-ask(s): ${lastProblems.slice(0, 5).join('; ')}`);
+  error.rawResponse = lastRawResponse;
+  error.violations = lastProblems;
+  error.usageMetadata = usageMetadata;
+  error.callUsageMetadata = callUsageMetadata;
+  error.continuation = continuation;
+  throw error;
+}
+
+module.exports = {
+  validateAgainstSchema,
+  extractResponseText,
+  addUsageMetadata,
+  generateCompleteText,
+  generateStructuredContent
+};
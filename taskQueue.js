@@ -0,0 +1,153 @@
+/**
+ * Task queue abstraction
+ *
+ * Functions hand follow-up work (per-student evaluation, aggregation, ...) to
+ * another Cloud Function through this module instead of calling it directly.
+ *
+ * Backends (selected with TASK_QUEUE_BACKEND):
+ * - cloud-tasks: Google Cloud Tasks HTTP tasks (default when running on Cloud Functions)
+ * - in-process:  Runs the target function in this process (default locally)
+ */
+
+const { CloudTasksClient } = require('@google-cloud/tasks');
+
+// ============================================================================
+// CLOUD TASKS BACKEND
+// ============================================================================
+
+function createCloudTasksQueue() {
+  const client = new CloudTasksClient();
+  const projectId = process.env.GCP_PROJECT_ID || 'slapp-478005';
+  const location = process.env.GCP_LOCATION || 'us-central1';
+  const queueName = process.env.GCP_TASK_QUEUE || 'Slapp';
+  const functionsBaseUrl = process.env.FUNCTIONS_BASE_URL || `https://${location}-${projectId}.cloudfunctions.net`;
+  const serviceAccountEmail = process.env.TASKS_SERVICE_ACCOUNT_EMAIL;
+
+  return {
+    name: 'cloud-tasks',
+
+    async enqueue(functionName, payload, { taskId, delaySeconds } = {}) {
+      const parent = client.queuePath(projectId, location, queueName);
+      const task = {
+        httpRequest: {
+          httpMethod: 'POST',
+          url: `${functionsBaseUrl}/${functionName}`,
+          headers: { 'Content-Type': 'application/json' },
+          body: Buffer.from(JSON.stringify(payload)).toString('base64'),
+          ...(serviceAccountEmail ? { oidcToken: { serviceAccountEmail } } : {})
+        }
+      };
+
+      // Named tasks are de-duplicated by Cloud Tasks
+      if (taskId) {
+        task.name = client.taskPath(projectId, location, queueName, taskId);
+      }
+      if (delaySeconds) {
+        task.scheduleTime = { seconds: Math.floor(Date.now() / 1000) + delaySeconds };
+      }
+
+      try {
+        const [createdTask] = await client.createTask({ parent, task });
+        console.log(`   📬 Task queued for ${functionName}: ${createdTask.name}`);
+        return createdTask.name;
+      } catch (error) {
+        // ALREADY_EXISTS: the same named task was queued before
+        if (error.code === 6) {
+          console.log(`   ℹ️  Task already queued for ${functionName}: ${taskId}`);
+          return task.name;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+// ============================================================================
+// IN-PROCESS BACKEND
+// ============================================================================
+
+function createInProcessQueue() {
+  const pending = new Set();
+  const queuedTaskIds = new Set();
+
+  // Minimal stand-in for the Express response object
+  const createResponse = (functionName) => ({
+    statusCode: 200,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.headersSent = true;
+      console.log(`   📭 ${functionName} responded ${this.statusCode}:`, JSON.stringify(body));
+      return this;
+    }
+  });
+
+  return {
+    name: 'in-process',
+
+    async enqueue(functionName, payload, { taskId, delaySeconds } = {}) {
+      if (taskId && queuedTaskIds.has(taskId)) {
+        console.log(`   ℹ️  Task already queued for ${functionName}: ${taskId}`);
+        return taskId;
+      }
+      if (taskId) queuedTaskIds.add(taskId);
+
+      // Resolved lazily: the function modules themselves depend on this queue
+      const handler = require('./index')[functionName];
+      if (!handler) {
+        throw new Error(`Unknown function for in-process task: ${functionName}`);
+      }
+
+      const run = new Promise(resolve => setTimeout(resolve, (delaySeconds || 0) * 1000))
+        .then(() => handler({ body: JSON.parse(JSON.stringify(payload)), headers: {} }, createResponse(functionName)))
+        .catch(error => console.error(`   ❌ In-process task ${functionName} failed:`, error))
+        .finally(() => pending.delete(run));
+      pending.add(run);
+
+      console.log(`   📬 Task queued in-process for ${functionName}`);
+      return taskId || functionName;
+    },
+
+    /**
+     * Wait until every queued task (including tasks they queue) has finished
+     */
+    async drain() {
+      while (pending.size > 0) {
+        await Promise.all([...pending]);
+      }
+    }
+  };
+}
+
+// ============================================================================
+// QUEUE SELECTION
+// ============================================================================
+
+let taskQueue = null;
+
+/**
+ * Get the configured task queue
+ * K_SERVICE is set on Cloud Functions (gen2), so deployed functions default to Cloud Tasks.
+ */
+function getTaskQueue() {
+  if (taskQueue) return taskQueue;
+
+  const backend = process.env.TASK_QUEUE_BACKEND || (process.env.K_SERVICE ? 'cloud-tasks' : 'in-process');
+  if (backend === 'cloud-tasks') {
+    taskQueue = createCloudTasksQueue();
+  } else if (backend === 'in-process') {
+    taskQueue = createInProcessQueue();
+  } else {
+    throw new Error(`Unknown task queue backend: ${backend}`);
+  }
+
+  console.log(`   📮 Task queue backend: ${taskQueue.name}`);
+  return taskQueue;
+}
+
+module.exports = {
+  getTaskQueue
+};
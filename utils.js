@@ -5,6 +5,19 @@
 const mongoose = require('mongoose');
 const { VertexAI } = require('@google-cloud/vertexai');
 const { Storage } = require('@google-cloud/storage');
+const { applyChoiceGroups } = require('./choiceGroups');
+const { buildMCQAnswerKey, applyMCQScoring } = require('./mcqScoring');
+const { buildScoreLimits, reconcileQuestionScores } = require('./scoreReconciliation');
+const { DEFAULT_REVIEW_THRESHOLD, scoreQuestionConfidence } = require('./confidence');
+const { EXAM_STATUSES, normalizeExamStatus, canTransitionExam, isExamInProgress, transitionExam } = require('./examLifecycle');
+const { calculateTokenCost, addTokenUsage, emptyTokenUsage } = require('./pricing');
+const {
+  resolveGradingPolicy,
+  gradeForPercentage,
+  computeRelativeGrades,
+  computeSectionScores,
+  applySectionPassCriteria
+} = require('./grading');
 
 // ============================================================================
 // VERTEX AI CONFIGURATION
@@ -21,22 +34,38 @@ const vertexAI = new VertexAI({
 // HELPER FUNCTIONS
 // ============================================================================
 
+/**
+ * Whether an LLM call failed on overload or quota (worth retrying, or trying another model)
+ */
+function isRetryableLLMError(error) {
+  const message = String(error?.message || '');
+  return error?.status === 503 || error?.status === 429 || message.includes('overloaded') || message.includes('quota');
+}
+
 /**
  * Retry function with exponential backoff
+ * @param {Object} [options] - { deadline: timestamp after which no retry starts; the error then has deadlineReached }
  */
-async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 2000) {
+async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 2000, { deadline } = {}) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       return await fn();
     } catch (error) {
       const isLastAttempt = attempt === maxRetries;
-      const isRetryable = error.status === 503 || error.status === 429 || error.message.includes('overloaded') || error.message.includes('quota');
+      const isRetryable = isRetryableLLMError(error);
       
       if (isLastAttempt || !isRetryable) {
+        error.attempts = attempt;
         throw error;
       }
       
       const delay = initialDelay * Math.pow(2, attempt - 1);
+      if (deadline && Date.now() + delay >= deadline) {
+        console.log(`      ⏱️  Attempt ${attempt} failed: ${error.message}, no time left to retry`);
+        error.attempts = attempt;
+        error.deadlineReached = true;
+        throw error;
+      }
       console.log(`      ⚠️  Attempt ${attempt} failed: ${error.message}`);
       console.log(`      🔄 Retrying in ${delay/1000}s...`);
       await new Promise(resolve => setTimeout(resolve, delay));
@@ -45,29 +74,59 @@ async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 2000) {
 }
 
 /**
- * Calculate token cost
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the same order as items
  */
-function calculateTokenCost(usageMetadata) {
-  const promptTokens = usageMetadata.promptTokenCount || 0;
-  const outputTokens = usageMetadata.candidatesTokenCount || 0;
-  const totalTokens = usageMetadata.totalTokenCount || promptTokens + outputTokens;
-
-  // Gemini 2.5 Flash pricing via Vertex AI
-  const INPUT_COST_PER_1M = 0.075;   // $0.075 per 1M input tokens
-  const OUTPUT_COST_PER_1M = 0.30;   // $0.30 per 1M output tokens
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
 
-  const inputCost = (promptTokens / 1000000) * INPUT_COST_PER_1M;
-  const outputCost = (outputTokens / 1000000) * OUTPUT_COST_PER_1M;
-  const totalCost = inputCost + outputCost;
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
 
-  return {
-    promptTokens,
-    outputTokens,
-    totalTokens,
-    inputCost,
-    outputCost,
-    totalCost
+/**
+ * Merge per-student evaluation results into the shape saveResultsToMongoDB expects.
+ * Results must be in roster order so token totals and raw responses are deterministic.
+ * @param {Array<Object|null>} studentResults - Results of generateStudentReportCardNewFormat (null for failures)
+ */
+function mergeEvaluationResults(studentResults) {
+  const allResults = {
+    students: {},
+    tokenUsage: emptyTokenUsage(),
+    rawResponse: ''
   };
+
+  for (const result of studentResults) {
+    if (!result) continue;
+
+    if (result.students) {
+      Object.assign(allResults.students, result.students);
+    }
+    
+    // Accumulate token usage
+    if (result.tokenUsage) {
+      allResults.tokenUsage = addTokenUsage(allResults.tokenUsage, result.tokenUsage);
+    }
+    
+    // Append raw response
+    if (result.rawResponse) {
+      allResults.rawResponse += (allResults.rawResponse ? '\n\n---\n\n' : '') + result.rawResponse;
+    }
+  }
+
+  return allResults;
 }
 
 // Initialize Google Cloud Storage
@@ -120,28 +179,38 @@ async function uploadMarkingSchemeJSONToGCS(jsonData, fileName, folder = 'questi
   }
 }
 
+/**
+ * Download a file from GCS
+ * @param {string} gsUri - GCS URI (gs://bucket/path/to/file)
+ * @returns {Promise<Buffer>} - File content
+ */
+async function downloadFileFromGCS(gsUri) {
+  // Extract bucket and file path from gs:// URI
+  const uriMatch = gsUri.match(/^gs:\/\/([^\/]+)\/(.+)$/);
+  if (!uriMatch) {
+    throw new Error(`Invalid GCS URI format: ${gsUri}`);
+  }
+  
+  const [, bucketName, filePath] = uriMatch;
+  const storageInstance = new Storage({
+    projectId: process.env.GCP_PROJECT_ID || 'slapp-478005'
+  });
+  const bucketInstance = storageInstance.bucket(bucketName);
+  const file = bucketInstance.file(filePath);
+  
+  console.log(`   📥 Loading from: ${bucketName}/${filePath}`);
+  
+  // Download file content
+  const [fileContent] = await file.download();
+  return fileContent;
+}
+
 /**
  * Load marking scheme JSON from GCS
  */
 async function loadMarkingSchemeFromGCS(gsUri) {
   try {
-    // Extract bucket and file path from gs:// URI
-    const uriMatch = gsUri.match(/^gs:\/\/([^\/]+)\/(.+)$/);
-    if (!uriMatch) {
-      throw new Error(`Invalid GCS URI format: ${gsUri}`);
-    }
-    
-    const [, bucketName, filePath] = uriMatch;
-    const storageInstance = new Storage({
-      projectId: process.env.GCP_PROJECT_ID || 'slapp-478005'
-    });
-    const bucketInstance = storageInstance.bucket(bucketName);
-    const file = bucketInstance.file(filePath);
-    
-    console.log(`   📥 Loading from: ${bucketName}/${filePath}`);
-    
-    // Download file content
-    const [fileContent] = await file.download();
+    const fileContent = await downloadFileFromGCS(gsUri);
     const jsonString = fileContent.toString('utf-8');
     const markingScheme = JSON.parse(jsonString);
     
@@ -188,6 +257,57 @@ async function connectToDatabase() {
 // MONGODB SCHEMAS
 // ============================================================================
 
+// Marks of one section of the paper, with its pass minimums when ExamType sets any
+const sectionScoreSchema = new mongoose.Schema({
+  sectionName: String,
+  marksAwarded: Number,
+  maxMarks: Number,
+  percentage: Number,
+  minMarks: Number,
+  minPercentage: Number,
+  passed: Boolean
+}, { _id: false });
+
+// Token counts and costs of LLM calls (see pricing.js)
+const tokenUsageSchema = new mongoose.Schema({
+  promptTokens: Number,
+  cachedTokens: Number,
+  outputTokens: Number,
+  thinkingTokens: Number,
+  totalTokens: Number,
+  inputCost: Number,
+  cachedInputCost: Number,
+  outputCost: Number,
+  thinkingCost: Number,
+  totalCost: Number,
+  // Pricing registry entries the costs were computed with, e.g. 'gemini-2.5-flash@2025-06-17'
+  pricingVersions: { type: [String], default: undefined }
+}, { _id: false });
+
+// How a result was produced, enough to reproduce it: the model (requestedModel differs
+// when the call fell back, see modelSelection.js) and the prompt (see promptTemplates.js)
+const llmProvenanceSchema = new mongoose.Schema({
+  provider: String,
+  model: String,
+  requestedModel: String,
+  generationConfig: mongoose.Schema.Types.Mixed,
+  templateId: String,
+  templateVersion: Number,
+  templateSource: { type: String, enum: ['default', 'tenant'] },
+  // SHA-256 of the rendered prompt
+  promptHash: String
+}, { _id: false });
+
+// A change made to the evaluator's marks by score reconciliation (see scoreReconciliation.js)
+const scoreCorrectionSchema = new mongoose.Schema({
+  code: String,
+  questionNumber: String,
+  stepId: Number,
+  original: mongoose.Schema.Types.Mixed,
+  corrected: Number,
+  message: String
+}, { _id: false });
+
 const evaluationSchema = new mongoose.Schema({
   examId: mongoose.Schema.Types.ObjectId,
   studentId: mongoose.Schema.Types.ObjectId,
@@ -219,6 +339,47 @@ const evaluationSchema = new mongoose.Schema({
       brilliant: String
     },
     value_points_matched: [String],
+    value_points_awarded: [{
+      _id: false,
+      step_id: Number,
+      marksAwarded: Number
+    }],
+    attempted: Boolean,
+    // Internal choice: only one member of a group counts towards the total
+    choiceGroup: String,
+    countedInTotal: { type: Boolean, default: true },
+    // MCQs: marks computed from the answer key, not by the evaluator
+    selectedOptions: [String],
+    correctOptions: [String],
+    mcqOutcome: String,
+    scoredBy: { type: String, enum: ['evaluator', 'answer_key'], default: 'evaluator' },
+    // Human review of low-confidence questions (see confidence.js)
+    confidence: Number,
+    confidenceReasons: [String],
+    illegible: Boolean,
+    // Teacher override of marksAwarded (see moderateEvaluation.js)
+    moderation: {
+      originalMarks: Number,
+      reason: String,
+      moderatedBy: String,
+      moderatedAt: Date
+    },
+    review: {
+      status: { type: String, enum: ['resolved', 'skipped'] },
+      reviewItemId: mongoose.Schema.Types.ObjectId,
+      originalMarks: Number,
+      resolvedBy: String,
+      resolvedAt: Date,
+      note: String
+    },
+    // Ensemble evaluation: marks of every sample, the median is marksAwarded
+    ensemble: {
+      sampleMarks: [Number],
+      median: Number,
+      spread: Number,
+      sampleCount: Number,
+      disagreement: Boolean
+    },
     rubrics: {
       spellingGrammar: Number,
       creativity: Number,
@@ -241,6 +402,20 @@ const evaluationSchema = new mongoose.Schema({
   totalMarksAwarded: Number,
   totalMaxMarks: Number,
   percentage: Number,
+  sectionScores: [sectionScoreSchema],
+  scoreCorrections: { type: [scoreCorrectionSchema], default: [] },
+  ensembleSummary: {
+    sampleCount: Number,
+    failedSamples: Number,
+    disagreementThreshold: Number,
+    flaggedQuestions: [String],
+    samples: [{
+      _id: false,
+      provider: String,
+      model: String,
+      temperature: Number
+    }]
+  },
   aggregateRubrics: {
     averageSpellingGrammar: Number,
     averageCreativity: Number,
@@ -251,13 +426,49 @@ const evaluationSchema = new mongoose.Schema({
   },
   status: { type: String, default: 'completed' },
   evaluatedAt: Date,
+  runId: String,
+  // Re-evaluation history: one version per run, only the current one is authoritative
+  version: { type: Number, default: 1 },
+  isCurrent: { type: Boolean, default: true },
+  supersededAt: Date,
+  supersededBy: mongoose.Schema.Types.ObjectId,
+  currentVersionId: mongoose.Schema.Types.ObjectId,
+  provenance: llmProvenanceSchema,
   tenantId: String,
   createdBy: String,
   updatedBy: String,
   softDelete: { type: Boolean, default: false },
-  rawResponse: { type: String }
+  rawResponse: { type: String },
+  jsonRepairs: { type: [String], default: [] },
+  responseContinuation: {
+    needed: { type: Boolean, default: false },
+    continuations: { type: Number, default: 0 },
+    truncated: { type: Boolean, default: false }
+  }
 }, { timestamps: true });
 
+// Grade band of a grading policy (see grading.js)
+const gradeBandSchema = new mongoose.Schema({
+  grade: { type: String, required: true },
+  minPercentage: { type: Number, required: true },
+  gradePoint: Number,
+  descriptor: String
+}, { _id: false });
+
+// Relative grading: grade for students ranked within the top `topFraction` of the cohort
+const rankBandSchema = new mongoose.Schema({
+  grade: { type: String, required: true },
+  topFraction: { type: Number, required: true, min: 0, max: 1 },
+  gradePoint: Number,
+  descriptor: String
+}, { _id: false });
+
+const gradingCurveSchema = new mongoose.Schema({
+  method: { type: String, enum: ['shift', 'scale'] },
+  targetMean: Number,
+  maxAdjustment: Number
+}, { _id: false });
+
 const examResultSchema = new mongoose.Schema({
   examId: mongoose.Schema.Types.ObjectId,
   studentId: mongoose.Schema.Types.ObjectId,
@@ -274,14 +485,55 @@ const examResultSchema = new mongoose.Schema({
   marksObtained: Number,
   totalMarks: Number,
   percentage: Number,
+  sectionScores: [sectionScoreSchema],
+  failedSections: [String],
   grade: String,
+  gradePoint: Number,
+  gradeDescriptor: String,
+  gradingPolicy: {
+    policyId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    preset: String,
+    mode: String,
+    bands: [gradeBandSchema],
+    rankBands: [rankBandSchema],
+    curve: gradingCurveSchema
+  },
+  // Set when the grade came from the cohort (relative grading)
+  relativeGrading: {
+    rank: Number,
+    cohortSize: Number,
+    percentile: Number,
+    adjustedPercentage: Number,
+    absoluteGrade: String,
+    gradedAt: Date
+  },
   status: String,
+  runId: String,
+  evaluationId: mongoose.Schema.Types.ObjectId,
+  version: { type: Number, default: 1 },
+  isCurrent: { type: Boolean, default: true },
+  supersededAt: Date,
+  supersededBy: mongoose.Schema.Types.ObjectId,
+  currentVersionId: mongoose.Schema.Types.ObjectId,
   tenantId: String,
   createdBy: String,
   updatedBy: String,
   softDelete: { type: Boolean, default: false }
 }, { timestamps: true });
 
+// Version lookups of saveResultsToMongoDB
+evaluationSchema.index({ examId: 1, studentId: 1, evaluationLevel: 1, tenantId: 1, isCurrent: 1 });
+examResultSchema.index({ examId: 1, studentId: 1, evaluationLevel: 1, tenantId: 1, isCurrent: 1 });
+
+// At most one current version per student and level (see saveVersionedRecord)
+const currentVersionIndex = [
+  { examId: 1, studentId: 1, evaluationLevel: 1, tenantId: 1 },
+  { unique: true, partialFilterExpression: { isCurrent: true, softDelete: false }, name: 'one_current_version' }
+];
+evaluationSchema.index(...currentVersionIndex);
+examResultSchema.index(...currentVersionIndex);
+
 const examSchema = new mongoose.Schema({
   examTitle: String,
   className: String,
@@ -298,39 +550,91 @@ const examSchema = new mongoose.Schema({
     answerSheetUri: String,
     pageCount: Number
   }],
-  status: String,
-  tokenUsage: {
-    promptTokens: Number,
-    outputTokens: Number,
-    totalTokens: Number,
-    inputCost: Number,
-    outputCost: Number,
-    totalCost: Number
+  // Lifecycle state (see examLifecycle.js)
+  status: { type: String, enum: EXAM_STATUSES, default: 'created' },
+  statusHistory: [{
+    from: String,
+    to: String,
+    at: Date,
+    by: String,
+    error: String,
+    note: String,
+    _id: false
+  }],
+  lastError: {
+    message: String,
+    at: Date
   },
+  tokenUsage: tokenUsageSchema,
   evaluatedLevels: [{
     level: String,
     evaluatedAt: Date,
-    tokenUsage: {
-      promptTokens: Number,
-      outputTokens: Number,
-      totalTokens: Number,
-      inputCost: Number,
-      outputCost: Number,
-      totalCost: Number
-    }
+    tokenUsage: tokenUsageSchema
   }],
   tenantId: String,
   updatedBy: String,
   softDelete: Boolean
 }, { timestamps: true });
 
+// Exams saved before the lifecycle existed are moved to its states on their next save
+examSchema.pre('validate', function () {
+  this.status = normalizeExamStatus(this.status);
+  if (!EXAM_STATUSES.includes(this.status)) {
+    console.error(`   ❌ Exam ${this._id} has an unknown status: ${this.status}`);
+  }
+});
+
 const examTypeSchema = new mongoose.Schema({
   passMarks: Number,
   maximumMarks: Number,
+  // Minimum per section (e.g. theory and internal assessment), on top of the overall pass mark
+  sectionPassCriteria: [{
+    sectionName: { type: String, required: true },
+    minMarks: Number,
+    minPercentage: Number
+  }],
   tenantId: String,
   softDelete: Boolean
 }, { timestamps: true });
 
+// Grade bands of a tenant, optionally for one exam type (examTypeId null = tenant default)
+const gradingPolicySchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, index: true },
+  examTypeId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  name: { type: String, required: true },
+  preset: String,
+  // Unset: the preset's mode, else 'absolute' (see resolveGradingPolicy)
+  mode: { type: String, enum: ['absolute', 'relative'] },
+  bands: [gradeBandSchema],
+  rankBands: [rankBandSchema],
+  curve: gradingCurveSchema,
+  active: { type: Boolean, default: true },
+  createdBy: String,
+  updatedBy: String,
+  softDelete: { type: Boolean, default: false }
+}, { timestamps: true });
+
+gradingPolicySchema.index({ tenantId: 1, examTypeId: 1, active: 1 });
+
+// Alternatives of one internal choice question (see choiceGroups.js)
+const choiceGroupSchema = new mongoose.Schema({
+  groupId: String,
+  sectionName: String,
+  questionNumbers: [String],
+  marks: Number
+}, { _id: false });
+
+// Consistency issue found by markingSchemeValidator.js
+const validationIssueSchema = new mongoose.Schema({
+  code: String,
+  severity: { type: String, enum: ['error', 'warning'] },
+  message: String,
+  sectionName: String,
+  questionNumber: String,
+  expected: mongoose.Schema.Types.Mixed,
+  actual: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
 const markingSchemeSchema = new mongoose.Schema({
   examId: mongoose.Schema.Types.ObjectId,
   tenantId: { type: String, required: true, index: true },
@@ -363,27 +667,39 @@ const markingSchemeSchema = new mongoose.Schema({
         text: String
       }],
       correctOption: String,
+      // Several accepted options and board cancellations (see mcqScoring.js)
+      correctOptions: [String],
+      cancelled: { type: Boolean, default: false },
+      cancelledAward: { type: String, enum: ['all', 'attempted'], default: 'all' },
       correctAnswer: String,
       modelAnswer: String
     }]
   }],
+  choiceGroups: { type: [choiceGroupSchema], default: [] },
   questionPaperUri: String,
   questionPaperName: String,
   questionPaperPageCount: Number,
   approved: { type: Boolean, default: false },
   status: { type: String, enum: ['draft', 'approved', 'rejected', 'parse_failed'], default: 'draft' },
-  tokenUsage: {
-    promptTokens: Number,
-    outputTokens: Number,
-    totalTokens: Number,
-    inputCost: Number,
-    outputCost: Number,
-    totalCost: Number
-  },
+  tokenUsage: tokenUsageSchema,
+  provenance: llmProvenanceSchema,
   createdBy: String,
   updatedBy: String,
   softDelete: { type: Boolean, default: false },
-  rawResponse: { type: String }
+  rawResponse: { type: String },
+  jsonRepairs: { type: [String], default: [] },
+  responseContinuation: {
+    needed: { type: Boolean, default: false },
+    continuations: { type: Number, default: 0 },
+    truncated: { type: Boolean, default: false }
+  },
+  validationIssues: { type: [validationIssueSchema], default: [] },
+  validationSummary: {
+    valid: Boolean,
+    errorCount: Number,
+    warningCount: Number,
+    validatedAt: Date
+  }
 }, { timestamps: true });
 
 const questionPaperSchema = new mongoose.Schema({
@@ -412,6 +728,9 @@ const questionPaperSchema = new mongoose.Schema({
         text: { type: String, default: '' }
       }],
       correctOption: { type: String, default: '' },
+      correctOptions: { type: [String], default: [] },
+      cancelled: { type: Boolean, default: false },
+      cancelledAward: { type: String, enum: ['all', 'attempted'], default: 'all' },
       correctAnswer: { type: String, default: '' },
       valuePoints: [{
         step_id: { type: Number, required: true },
@@ -422,7 +741,21 @@ const questionPaperSchema = new mongoose.Schema({
       stepMarks: { type: [Number], default: [] }
     }]
   }],
+  choiceGroups: { type: [choiceGroupSchema], default: [] },
   rawResponse: { type: String, default: '' },
+  jsonRepairs: { type: [String], default: [] },
+  responseContinuation: {
+    needed: { type: Boolean, default: false },
+    continuations: { type: Number, default: 0 },
+    truncated: { type: Boolean, default: false }
+  },
+  validationIssues: { type: [validationIssueSchema], default: [] },
+  validationSummary: {
+    valid: Boolean,
+    errorCount: Number,
+    warningCount: Number,
+    validatedAt: Date
+  },
   status: {
     type: String,
     enum: ['draft', 'approved', 'parse_failed'],
@@ -477,6 +810,15 @@ const answerSheetEvaluationSchema = new mongoose.Schema({
       totalMarks: {
         type: Number,
         default: 0
+      },
+      // MCQs: marks computed from the answer key, not by the evaluator
+      selectedOptions: [String],
+      correctOptions: [String],
+      mcqOutcome: String,
+      scoredBy: {
+        type: String,
+        enum: ['evaluator', 'answer_key'],
+        default: 'evaluator'
       }
     }],
     grandTotal: {
@@ -484,28 +826,34 @@ const answerSheetEvaluationSchema = new mongoose.Schema({
       default: 0
     }
   },
-  tokenUsage: {
-    promptTokens: {
-      type: Number,
-      default: 0
-    },
-    candidatesTokens: {
-      type: Number,
-      default: 0
+  scoreCorrections: {
+    type: [scoreCorrectionSchema],
+    default: []
+  },
+  tokenUsage: tokenUsageSchema,
+  provenance: llmProvenanceSchema,
+  rawResponse: {
+    type: String,
+    default: ''
+  },
+  jsonRepairs: {
+    type: [String],
+    default: []
+  },
+  responseContinuation: {
+    needed: {
+      type: Boolean,
+      default: false
     },
-    totalTokens: {
+    continuations: {
       type: Number,
       default: 0
     },
-    totalCost: {
-      type: Number,
-      default: 0
+    truncated: {
+      type: Boolean,
+      default: false
     }
   },
-  rawResponse: {
-    type: String,
-    default: ''
-  },
   createdBy: {
     type: String,
     default: 'system'
@@ -523,6 +871,219 @@ const answerSheetEvaluationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Fan-out evaluation run: one task per student, aggregated once all have reported
+const evaluationRunSchema = new mongoose.Schema({
+  runId: { type: String, required: true, unique: true },
+  examId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  tenantId: { type: String, required: true, index: true },
+  evaluationLevel: String,
+  mode: { type: String, default: 'fanout' },
+  studentIds: [String],
+  reportedStudentIds: [String],
+  status: { type: String, enum: ['running', 'aggregating', 'completed'], default: 'running' },
+  aggregatedAt: Date,
+  createdBy: String
+}, { timestamps: true });
+
+// Result reported by a single per-student evaluation task
+const studentEvaluationResultSchema = new mongoose.Schema({
+  runId: { type: String, required: true },
+  examId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  tenantId: { type: String, required: true },
+  studentId: { type: String, required: true },
+  status: { type: String, enum: ['completed', 'failed'], required: true },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  errorCode: String,
+  attempts: Number
+}, { timestamps: true });
+
+studentEvaluationResultSchema.index({ runId: 1, studentId: 1 }, { unique: true });
+
+// Student whose evaluation failed (see evaluationFailures.js); one record per student, exam and level
+const evaluationFailureSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  examId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  evaluationLevel: { type: String, required: true },
+  studentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  studentName: String,
+  rollNumber: String,
+  errorCode: String,
+  message: String,
+  // Attempts over every run that failed for the student
+  attempts: { type: Number, default: 0 },
+  runId: String,
+  lastFailedAt: Date,
+  status: { type: String, enum: ['open', 'resolved'], default: 'open' },
+  resolvedAt: Date,
+  resolvedByRunId: String,
+  createdBy: String,
+  updatedBy: String
+}, { timestamps: true });
+
+evaluationFailureSchema.index({ examId: 1, studentId: 1, evaluationLevel: 1, tenantId: 1 }, { unique: true });
+evaluationFailureSchema.index({ tenantId: 1, examId: 1, evaluationLevel: 1, status: 1 });
+
+// Claim on a task delivery, so redelivered or repeated requests are detected
+const idempotencyRecordSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  functionName: String,
+  examId: mongoose.Schema.Types.ObjectId,
+  tenantId: String,
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  leaseExpiresAt: Date,
+  attempts: { type: Number, default: 1 },
+  completedAt: Date,
+  response: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
+// Records are only needed while redeliveries can still arrive
+idempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Per-tenant evaluation settings
+const tenantConfigSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, unique: true },
+  // Questions below this confidence are queued for human review
+  reviewConfidenceThreshold: { type: Number, min: 0, max: 1, default: DEFAULT_REVIEW_THRESHOLD },
+  // Publish results without human review
+  skipReview: { type: Boolean, default: false },
+  // LLM spend allowed per calendar month (UTC) in USD; unset means unlimited
+  monthlyBudget: { type: Number, min: 0 },
+  // What happens to a request that would exceed the budget
+  budgetAction: { type: String, enum: ['refuse', 'queue_for_approval'], default: 'refuse' },
+  // Model chains by function and exam type; the first matching rule applies (see modelSelection.js)
+  modelRules: [{
+    functionName: String,
+    examTypeName: String,
+    models: [String],
+    _id: false
+  }],
+  // Prompt template overrides; add a new version instead of editing one (see promptTemplates.js)
+  promptTemplates: [{
+    templateId: { type: String, required: true },
+    version: { type: Number, required: true },
+    template: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    _id: false
+  }],
+  createdBy: String,
+  updatedBy: String,
+  softDelete: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// Low-confidence question of an evaluation awaiting a human decision
+const reviewItemSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  examId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  evaluationId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  studentId: mongoose.Schema.Types.ObjectId,
+  studentName: String,
+  rollNumber: String,
+  evaluationLevel: String,
+  runId: String,
+  questionNumber: { type: String, required: true },
+  section: String,
+  marksAwarded: Number,
+  maxMarks: Number,
+  confidence: Number,
+  reasons: [String],
+  // superseded: a newer run replaced the evaluation before the item was resolved
+  status: { type: String, enum: ['pending', 'resolved', 'skipped', 'superseded'], default: 'pending' },
+  resolution: {
+    marksAwarded: Number,
+    note: String,
+    resolvedBy: String,
+    resolvedAt: Date
+  },
+  createdBy: String,
+  updatedBy: String
+}, { timestamps: true });
+
+reviewItemSchema.index({ evaluationId: 1, questionNumber: 1 }, { unique: true });
+reviewItemSchema.index({ tenantId: 1, examId: 1, evaluationLevel: 1, status: 1 });
+
+// One LLM call with its tokens and cost
+const usageLedgerSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  // Calendar month (UTC) the call is billed to, e.g. '2026-10'
+  period: { type: String, required: true },
+  functionName: String,
+  provider: String,
+  model: String,
+  examId: mongoose.Schema.Types.ObjectId,
+  runId: String,
+  studentId: String,
+  tokenUsage: tokenUsageSchema,
+  // Copy of tokenUsage.totalCost for spend aggregation
+  totalCost: Number
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+usageLedgerSchema.index({ tenantId: 1, period: 1 });
+usageLedgerSchema.index({ tenantId: 1, functionName: 1, createdAt: -1 });
+
+// Request held back because it would exceed the tenant's monthly budget
+const budgetApprovalSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  functionName: { type: String, required: true },
+  examId: mongoose.Schema.Types.ObjectId,
+  // Original request, queued again once approved
+  payload: mongoose.Schema.Types.Mixed,
+  period: String,
+  estimatedCost: Number,
+  monthlySpend: Number,
+  monthlyBudget: Number,
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  requestedBy: String,
+  decidedBy: String,
+  decidedAt: Date,
+  // Set by the request the approval let through; an approval admits one request,
+  // and the redeliveries of that request (same consumerKey)
+  consumedAt: Date,
+  consumerKey: String,
+  note: String
+}, { timestamps: true });
+
+budgetApprovalSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+
+// Totals of a student before or after a moderation
+const moderationTotalsSchema = new mongoose.Schema({
+  marksObtained: Number,
+  percentage: Number,
+  grade: String,
+  status: String
+}, { _id: false });
+
+// One teacher override of a question's marks; entries are never changed or removed
+const moderationAuditLogSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  examId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  evaluationId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  studentId: mongoose.Schema.Types.ObjectId,
+  studentName: String,
+  questionNumber: { type: String, required: true },
+  field: { type: String, default: 'marksAwarded' },
+  oldValue: Number,
+  newValue: Number,
+  reason: { type: String, required: true },
+  moderatedBy: { type: String, required: true },
+  moderatedAt: { type: Date, required: true },
+  totalsBefore: moderationTotalsSchema,
+  totalsAfter: moderationTotalsSchema
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+moderationAuditLogSchema.index({ tenantId: 1, evaluationId: 1, moderatedAt: 1 });
+moderationAuditLogSchema.index({ tenantId: 1, examId: 1, moderatedAt: 1 });
+
+// Append-only: reject every update or delete
+const rejectAuditLogChange = function () {
+  throw new Error('ModerationAuditLog is append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => moderationAuditLogSchema.pre(operation, rejectAuditLogChange));
+moderationAuditLogSchema.pre('save', function () {
+  if (!this.isNew) rejectAuditLogChange();
+});
+
 // Indexes for faster queries
 answerSheetEvaluationSchema.index({ tenantId: 1, questionPaperUri: 1 });
 answerSheetEvaluationSchema.index({ tenantId: 1, answerSheetUri: 1 });
@@ -534,18 +1095,113 @@ const Evaluation = mongoose.models.Evaluation || mongoose.model('Evaluation', ev
 const ExamResult = mongoose.models.ExamResult || mongoose.model('ExamResult', examResultSchema);
 const Exam = mongoose.models.Exam || mongoose.model('Exam', examSchema);
 const ExamType = mongoose.models.ExamType || mongoose.model('ExamType', examTypeSchema);
+const GradingPolicy = mongoose.models.GradingPolicy || mongoose.model('GradingPolicy', gradingPolicySchema);
 const MarkingScheme = mongoose.models.MarkingScheme || mongoose.model('MarkingScheme', markingSchemeSchema);
 const QuestionPaper = mongoose.models.QuestionPaper || mongoose.model('QuestionPaper', questionPaperSchema);
 const AnswerSheetEvaluation = mongoose.models.AnswerSheetEvaluation || mongoose.model('AnswerSheetEvaluation', answerSheetEvaluationSchema);
+const EvaluationRun = mongoose.models.EvaluationRun || mongoose.model('EvaluationRun', evaluationRunSchema);
+const StudentEvaluationResult = mongoose.models.StudentEvaluationResult || mongoose.model('StudentEvaluationResult', studentEvaluationResultSchema);
+const EvaluationFailure = mongoose.models.EvaluationFailure || mongoose.model('EvaluationFailure', evaluationFailureSchema);
+const IdempotencyRecord = mongoose.models.IdempotencyRecord || mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+const TenantConfig = mongoose.models.TenantConfig || mongoose.model('TenantConfig', tenantConfigSchema);
+const ReviewItem = mongoose.models.ReviewItem || mongoose.model('ReviewItem', reviewItemSchema);
+const UsageLedger = mongoose.models.UsageLedger || mongoose.model('UsageLedger', usageLedgerSchema);
+const BudgetApproval = mongoose.models.BudgetApproval || mongoose.model('BudgetApproval', budgetApprovalSchema);
+const ModerationAuditLog = mongoose.models.ModerationAuditLog || mongoose.model('ModerationAuditLog', moderationAuditLogSchema);
 
 // ============================================================================
 // MONGODB SAVE FUNCTIONS
 // ============================================================================
 
+// Attempts of a version save that lost a race for the current version
+const VERSION_SAVE_ATTEMPTS = 3;
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+/**
+ * Save a new version of a student's Evaluation or ExamResult
+ * The same run updates its own version in place (redelivery); a new run adds a
+ * version and marks the previous ones superseded. Records from before versioning
+ * (no isCurrent) count as version 1.
+ * The previous versions are retired and the new one inserted in one transaction, and
+ * the one_current_version index rejects a concurrent save (e.g. a fan-out task and a
+ * retry of the same student), which then starts over from the new current version.
+ * @param {mongoose.Model} Model - Evaluation or ExamResult
+ * @param {Object} key - Exam, student, level and tenant of the record
+ * @param {Object} fields - Record content
+ * @param {Object} options - { runId, createdBy }
+ * @returns {Promise<Object>} - The current version
+ */
+async function saveVersionedRecord(Model, key, fields, { runId, createdBy }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await mongoose.connection.transaction(session => saveVersion(Model, key, fields, { runId, createdBy, session }));
+    } catch (error) {
+      if (!isDuplicateKeyError(error) || attempt >= VERSION_SAVE_ATTEMPTS) throw error;
+      console.warn(`   ⚠️  ${Model.modelName} saved concurrently, retrying (${attempt}/${VERSION_SAVE_ATTEMPTS})`);
+    }
+  }
+}
+
+async function saveVersion(Model, key, fields, { runId, createdBy, session }) {
+  const current = await Model.findOne({ ...key, isCurrent: { $ne: false } }).sort({ version: -1, createdAt: -1 }).session(session);
+
+  if (current && runId && current.runId === runId) {
+    current.set({ ...fields, updatedBy: createdBy });
+    return current.save({ session });
+  }
+
+  // Retire the previous versions first, so the new one is the only current one
+  const recordId = new mongoose.Types.ObjectId();
+  if (current) {
+    await Model.updateMany(
+      { ...key, isCurrent: { $ne: false } },
+      { isCurrent: false, supersededAt: new Date(), supersededBy: recordId },
+      { session }
+    );
+  }
+
+  const record = await new Model({
+    _id: recordId,
+    ...key,
+    ...fields,
+    runId,
+    version: current ? (current.version || 1) + 1 : 1,
+    isCurrent: true,
+    createdBy,
+    updatedBy: createdBy
+  }).save({ session });
+
+  if (current) {
+    await Model.updateMany({ ...key, _id: { $ne: record._id } }, { currentVersionId: record._id }, { session });
+    console.log(`   🗂️  ${Model.modelName} version ${record.version} supersedes version ${current.version || 1}`);
+  }
+
+  return record;
+}
+
+/**
+ * Validation result of markingSchemeValidator.js as stored on MarkingScheme and QuestionPaper
+ */
+function toValidationFields(validation) {
+  if (!validation) {
+    return { validationIssues: [], validationSummary: undefined };
+  }
+  return {
+    validationIssues: validation.issues,
+    validationSummary: {
+      valid: validation.valid,
+      errorCount: validation.errorCount,
+      warningCount: validation.warningCount,
+      validatedAt: new Date()
+    }
+  };
+}
+
 /**
  * Save marking scheme to MongoDB
  */
-async function saveMarkingSchemeToMongoDB({ payload, markingScheme, rawResponse, status, tenantId, createdBy, tokenUsage }) {
+async function saveMarkingSchemeToMongoDB({ payload, markingScheme, rawResponse, jsonRepairs, continuation, validation, status, tenantId, createdBy, tokenUsage, provenance }) {
   const markingSchemeDoc = new MarkingScheme({
     examId: payload.examId || null,
     tenantId: tenantId || payload.tenantId,
@@ -558,12 +1214,17 @@ async function saveMarkingSchemeToMongoDB({ payload, markingScheme, rawResponse,
     examDate: payload.examDate || null,
     language: payload.language || 'english',
     sections: markingScheme?.sections || [],
+    choiceGroups: markingScheme?.choiceGroups || [],
     questionPaperUri: payload.questionPaperUri,
     questionPaperName: payload.questionPaperName || '',
     questionPaperPageCount: payload.questionPaperPageCount || 0,
     status: status || 'draft',
     rawResponse: rawResponse || '',
+    jsonRepairs: jsonRepairs || [],
+    responseContinuation: continuation || undefined,
+    ...toValidationFields(validation),
     tokenUsage: tokenUsage || null,
+    provenance: provenance || undefined,
     createdBy: createdBy || payload.createdBy || 'cloud-function',
     updatedBy: createdBy || payload.createdBy || 'cloud-function'
   });
@@ -576,7 +1237,7 @@ async function saveMarkingSchemeToMongoDB({ payload, markingScheme, rawResponse,
 /**
  * Save question paper to MongoDB
  */
-async function saveQuestionPaperToMongoDB({ payload, questionPaperData, rawResponse, status, tenantId, createdBy }) {
+async function saveQuestionPaperToMongoDB({ payload, questionPaperData, rawResponse, jsonRepairs, continuation, validation, status, tenantId, createdBy }) {
   try {
     if (!payload || !payload.questionPaperUri) {
       throw new Error('Invalid payload: questionPaperUri is required');
@@ -626,7 +1287,11 @@ async function saveQuestionPaperToMongoDB({ payload, questionPaperData, rawRespo
       className: payload.className || '',
       language: payload.language || 'english',
       sections: questionPaperData?.sections || [],
+      choiceGroups: questionPaperData?.choiceGroups || [],
       rawResponse: rawResponse || '',
+      jsonRepairs: jsonRepairs || [],
+      responseContinuation: continuation || undefined,
+      ...toValidationFields(validation),
       markingSchemeTextUri: markingSchemeJsonUri, // Set both URIs to the same value (TXT file)
       markingSchemeJsonUri: markingSchemeJsonUri,
       status: status || 'draft',
@@ -670,7 +1335,7 @@ async function saveQuestionPaperToMongoDB({ payload, questionPaperData, rawRespo
 /**
  * Save answer sheet evaluation to MongoDB
  */
-async function saveAnswerSheetEvaluationToMongoDB({ tenantId, questionPaperUri, answerSheetUri, studentName, evaluationData, tokenUsage, rawResponse, createdBy }) {
+async function saveAnswerSheetEvaluationToMongoDB({ tenantId, questionPaperUri, answerSheetUri, studentName, evaluationData, scoreCorrections, tokenUsage, provenance, rawResponse, jsonRepairs, continuation, createdBy }) {
   try {
     if (!tenantId) {
       throw new Error('Invalid payload: tenantId is required');
@@ -698,8 +1363,12 @@ async function saveAnswerSheetEvaluationToMongoDB({ tenantId, questionPaperUri,
       answerSheetUri: answerSheetUri,
       studentName: studentName || 'Student',
       evaluationData: evaluationData || { questions: [], grandTotal: 0 },
+      scoreCorrections: scoreCorrections || [],
       tokenUsage: tokenUsage || null,
+      provenance: provenance || undefined,
       rawResponse: rawResponse || '',
+      jsonRepairs: jsonRepairs || [],
+      responseContinuation: continuation || undefined,
       createdBy: createdBy || 'cloud-function',
       updatedBy: createdBy || 'cloud-function',
       softDelete: false
@@ -725,38 +1394,120 @@ async function saveAnswerSheetEvaluationToMongoDB({ tenantId, questionPaperUri,
 }
 
 /**
- * Save evaluation results to MongoDB
+ * Load everything scoring a student needs: the approved marking scheme's limits,
+ * the exam type's pass criteria and the grading policy
+ * Without an approved marking scheme the evaluator's own max marks and sections are used.
  */
-async function saveResultsToMongoDB(responseData) {
-  const { examId, tenantId, evaluationLevel, results, createdBy, rawResponse } = responseData;
-  
-  const createdByValue = createdBy || 'cloud-function';
-
-  const exam = await Exam.findOne({ _id: examId, tenantId, softDelete: false });
-  if (!exam) throw new Error('Exam not found');
+async function loadScoringContext(exam, tenantId) {
+  const context = {
+    maxMarksMap: {},
+    sectionMap: {},
+    sectionMaxMarksMap: {},
+    choiceGroups: [],
+    mcqAnswerKey: null,
+    scoreLimits: new Map(),
+    schemeTotalMarks: null
+  };
 
-  // Build max marks mapping and section mapping from approved marking scheme
-  let maxMarksMap = {};
-  let sectionMap = {};
-  let schemeTotalMarks = null;
-  
   if (exam.markingSchemeId) {
     const markingScheme = await MarkingScheme.findById(exam.markingSchemeId);
     if (markingScheme?.approved) {
-      schemeTotalMarks = markingScheme.totalMarks;
+      context.schemeTotalMarks = markingScheme.totalMarks;
+      context.choiceGroups = markingScheme.choiceGroups || [];
+      context.mcqAnswerKey = buildMCQAnswerKey(markingScheme);
+      context.scoreLimits = buildScoreLimits(markingScheme);
       markingScheme.sections.forEach(section => {
+        if (section.sectionTotalMarks) {
+          context.sectionMaxMarksMap[section.sectionName] = section.sectionTotalMarks;
+        }
         section.questions?.forEach(q => {
-          maxMarksMap[q.questionNumber] = q.marks;
-          sectionMap[q.questionNumber] = section.sectionName;
+          context.maxMarksMap[q.questionNumber] = q.marks;
+          context.sectionMap[q.questionNumber] = section.sectionName;
         });
       });
-      console.log(`   📋 Using marking scheme total marks: ${schemeTotalMarks}`);
-      console.log(`   📋 Section mapping created for ${Object.keys(sectionMap).length} questions`);
+      console.log(`   📋 Using marking scheme total marks: ${context.schemeTotalMarks}`);
+      console.log(`   📋 Section mapping created for ${Object.keys(context.sectionMap).length} questions`);
     }
   }
 
+  context.examType = await ExamType.findOne({ _id: exam.examTypeId, tenantId, softDelete: false });
+  context.gradingPolicy = await resolveGradingPolicy(GradingPolicy, { tenantId, examTypeId: exam.examTypeId });
+  console.log(`   🎓 Grading policy: ${context.gradingPolicy.name}`);
+
+  return context;
+}
+
+/**
+ * Totals, section scores, grade and pass/fail of one student's marked questions
+ * Applies the scheme's max marks and sections and counts one alternative per choice group.
+ * @param {Array} questions - Questions with their final marksAwarded
+ * @param {Object} context - From loadScoringContext
+ */
+function scoreStudentQuestions(questions, context) {
+  const { maxMarksMap, sectionMap, sectionMaxMarksMap, choiceGroups, schemeTotalMarks, examType, gradingPolicy } = context;
+
+  // Use marking scheme max marks and section; only one alternative of each choice group counts
+  const scoredQuestions = applyChoiceGroups(questions, choiceGroups).map(q => {
+    const correctedQuestion = {
+      ...q,
+      maxMarks: maxMarksMap[q.questionNumber] || q.maxMarks
+    };
+    
+    if (sectionMap[q.questionNumber]) {
+      correctedQuestion.section = sectionMap[q.questionNumber];
+    } else if (!correctedQuestion.section || correctedQuestion.section === 'General' || correctedQuestion.section === 'N/A') {
+      correctedQuestion.section = correctedQuestion.section || 'General';
+    }
+    
+    return correctedQuestion;
+  });
+
+  const countedQuestions = scoredQuestions.filter(q => q.countedInTotal);
+  const totalMarksAwarded = countedQuestions.reduce((sum, q) => sum + (parseFloat(q.marksAwarded) || 0), 0);
+  const totalMaxMarks = schemeTotalMarks || countedQuestions.reduce((sum, q) => sum + (parseFloat(q.maxMarks) || 0), 0);
+  const percentage = parseFloat((totalMaxMarks > 0 ? (totalMarksAwarded / totalMaxMarks) * 100 : 0).toFixed(2));
+
+  const { grade, gradePoint, descriptor } = gradeForPercentage(percentage, gradingPolicy);
+  const passPercentage = examType ? (examType.passMarks / examType.maximumMarks) * 100 : 40;
+
+  // Every section with a minimum must be cleared as well as the overall pass mark
+  const { sectionScores, failedSections } = applySectionPassCriteria(
+    computeSectionScores(scoredQuestions, sectionMaxMarksMap),
+    examType?.sectionPassCriteria
+  );
+  const status = percentage >= passPercentage && failedSections.length === 0 ? 'pass' : 'fail';
+
+  return {
+    questions: scoredQuestions,
+    totalMarksAwarded, totalMaxMarks, percentage,
+    sectionScores, failedSections, grade, gradePoint, descriptor, status
+  };
+}
+
+/**
+ * Save evaluation results to MongoDB
+ * Students missing from results keep their current evaluation, so a retry of
+ * some students merges into the exam's existing results.
+ */
+async function saveResultsToMongoDB(responseData) {
+  // partial: more students of this run are still to come, so the exam is not final yet
+  // failures: [{ studentId, errorCode, message, attempts }] of students that could not be evaluated
+  // retry: a retry of some students (see retryFailedStudents.js); the other students keep their results
+  const { examId, tenantId, evaluationLevel, results, createdBy, rawResponse, partial, runId, failures = [], retry = false } = responseData;
+  
+  const createdByValue = createdBy || 'cloud-function';
+
+  const exam = await Exam.findOne({ _id: examId, tenantId, softDelete: false });
+  if (!exam) throw new Error('Exam not found');
+
+  const scoringContext = await loadScoringContext(exam, tenantId);
+  const { gradingPolicy } = scoringContext;
+  const tenantConfig = await getTenantConfig(tenantId);
+
   const studentsWithAnswers = exam.studentAnswerSheets.filter(s => s.answerSheetUri);
   let successCount = 0;
+  let reviewItemCount = 0;
+  const savedStudentIds = [];
 
   for (const studentSheet of studentsWithAnswers) {
     const studentId = studentSheet.studentId.toString();
@@ -764,27 +1515,27 @@ async function saveResultsToMongoDB(responseData) {
 
     if (!evaluationResult?.questions) continue;
 
-    // Use marking scheme max marks and section
-    const questionsWithCorrectMaxMarks = evaluationResult.questions.map(q => {
-      const correctedQuestion = {
-        ...q,
-        maxMarks: maxMarksMap[q.questionNumber] || q.maxMarks
-      };
-      
-      if (sectionMap[q.questionNumber]) {
-        correctedQuestion.section = sectionMap[q.questionNumber];
-      } else if (!correctedQuestion.section || correctedQuestion.section === 'General' || correctedQuestion.section === 'N/A') {
-        correctedQuestion.section = correctedQuestion.section || 'General';
-      }
-      
-      return correctedQuestion;
-    });
-
-    const totalMarksAwarded = questionsWithCorrectMaxMarks.reduce((sum, q) => sum + (parseFloat(q.marksAwarded) || 0), 0);
-    const totalMaxMarks = schemeTotalMarks || questionsWithCorrectMaxMarks.reduce((sum, q) => sum + (parseFloat(q.maxMarks) || 0), 0);
-    const percentage = totalMaxMarks > 0 ? (totalMarksAwarded / totalMaxMarks) * 100 : 0;
-    
-    console.log(`   📊 ${studentSheet.studentName}: ${totalMarksAwarded}/${totalMaxMarks} (${percentage.toFixed(2)}%)`);
+    // Score MCQs against the approved answer key (it may carry cancellations made after evaluation)
+    const mcqScoredQuestions = scoringContext.mcqAnswerKey
+      ? applyMCQScoring(evaluationResult.questions, scoringContext.mcqAnswerKey).questions
+      : evaluationResult.questions;
+
+    // Keep marks within the approved scheme's limits (teachers may have edited it since evaluation)
+    const reconciliation = reconcileQuestionScores(mcqScoredQuestions, scoringContext.scoreLimits);
+    const scoreCorrections = [...(evaluationResult.scoreCorrections || []), ...reconciliation.corrections];
+    const evaluatedQuestions = reconciliation.questions.map(q => ({ ...q, awarded_marks: q.marksAwarded }));
+
+    const {
+      questions: scoredQuestions,
+      totalMarksAwarded, totalMaxMarks, percentage: percentageValue,
+      sectionScores, failedSections, grade, gradePoint, descriptor, status
+    } = scoreStudentQuestions(evaluatedQuestions, scoringContext);
+    const questionsWithCorrectMaxMarks = scoredQuestions.map(q => ({ ...q, ...scoreQuestionConfidence(q, scoreCorrections) }));
+
+    console.log(`   📊 ${studentSheet.studentName}: ${totalMarksAwarded}/${totalMaxMarks} (${percentageValue.toFixed(2)}%)`);
+    if (failedSections.length > 0) {
+      console.log(`   ⚠️  ${studentSheet.studentName}: below section minimum in ${failedSections.join(', ')}`);
+    }
 
     const aggregateRubrics = {
       averageSpellingGrammar: evaluationResult.overallRubrics?.spellingGrammar || 0,
@@ -798,43 +1549,94 @@ async function saveResultsToMongoDB(responseData) {
     const totalRubricScore = Object.values(aggregateRubrics).slice(0, 5).reduce((a, b) => a + b, 0);
     aggregateRubrics.overallAverageRubricScore = parseFloat((totalRubricScore / 5).toFixed(2));
 
-    const percentageValue = parseFloat(percentage.toFixed(2));
-    let grade = 'F';
-    if (percentageValue >= 90) grade = 'A+';
-    else if (percentageValue >= 80) grade = 'A';
-    else if (percentageValue >= 70) grade = 'B+';
-    else if (percentageValue >= 60) grade = 'B';
-    else if (percentageValue >= 50) grade = 'C';
-    else if (percentageValue >= 40) grade = 'D';
-
-    const examType = await ExamType.findOne({ _id: exam.examTypeId, tenantId, softDelete: false });
-    const passPercentage = examType ? (examType.passMarks / examType.maximumMarks) * 100 : 40;
-    const status = percentageValue >= passPercentage ? 'pass' : 'fail';
-
-    await new Evaluation({
-      examId, studentId: studentSheet.studentId, studentName: studentSheet.studentName,
+    // One version per run: retries of a run replace it, re-runs supersede it
+    const resultKey = { examId, studentId: studentSheet.studentId, evaluationLevel, tenantId, softDelete: false };
+    const versionOptions = { runId, createdBy: createdByValue };
+
+    const evaluation = await saveVersionedRecord(Evaluation, resultKey, {
+      studentName: studentSheet.studentName,
       rollNumber: studentSheet.rollNumber, className: exam.className, section: exam.section,
-      subjectName: exam.subjectName, examTypeName: exam.examTypeName, evaluationLevel,
+      subjectName: exam.subjectName, examTypeName: exam.examTypeName,
       questions: questionsWithCorrectMaxMarks, overallFeedback: evaluationResult.overallFeedback,
-      totalMarksAwarded, totalMaxMarks, percentage: percentageValue, aggregateRubrics,
-      status: 'completed', evaluatedAt: new Date(), tenantId, createdBy: createdByValue, updatedBy: createdByValue,
-      rawResponse: rawResponse
-    }).save();
-
-    await new ExamResult({
-      examId, studentId: studentSheet.studentId, studentName: studentSheet.studentName,
+      totalMarksAwarded, totalMaxMarks, percentage: percentageValue, sectionScores, scoreCorrections, aggregateRubrics,
+      status: 'completed', evaluatedAt: new Date(),
+      rawResponse: rawResponse, jsonRepairs: evaluationResult.jsonRepairs || [],
+      responseContinuation: evaluationResult.continuation,
+      provenance: evaluationResult.provenance,
+      ensembleSummary: evaluationResult.ensembleSummary
+    }, versionOptions);
+
+    await saveVersionedRecord(ExamResult, resultKey, {
+      studentName: studentSheet.studentName,
       rollNumber: studentSheet.rollNumber, className: exam.className, section: exam.section,
       subjectId: exam.subjectId, subjectName: exam.subjectName, examTypeId: exam.examTypeId,
-      examTypeName: exam.examTypeName, examDate: exam.examDate, evaluationLevel,
+      examTypeName: exam.examTypeName, examDate: exam.examDate,
       marksObtained: totalMarksAwarded, totalMarks: totalMaxMarks, percentage: percentageValue,
-      grade, status, tenantId, createdBy: createdByValue, updatedBy: createdByValue
-    }).save();
+      sectionScores, failedSections, grade, gradePoint, gradeDescriptor: descriptor, gradingPolicy, relativeGrading: null,
+      status, evaluationId: evaluation._id
+    }, versionOptions);
+
+    if (!tenantConfig.skipReview) {
+      reviewItemCount += await queueReviewItems({
+        evaluation, exam, studentSheet, evaluationLevel, runId,
+        threshold: tenantConfig.reviewConfidenceThreshold, createdBy: createdByValue
+      });
+    }
 
     successCount++;
+    savedStudentIds.push(studentSheet.studentId);
     console.log(`   ✅ ${studentSheet.studentName}: ${totalMarksAwarded}/${totalMaxMarks} (${percentageValue}%)`);
   }
 
-  exam.status = 'evaluated';
+  await resolveEvaluationFailures({ examId, tenantId, evaluationLevel, studentIds: savedStudentIds, runId, updatedBy: createdByValue });
+  const failureCount = await recordEvaluationFailures({
+    exam, evaluationLevel, runId, failures, createdBy: createdByValue
+  });
+  if (failureCount > 0) {
+    console.log(`   ⚠️  ${failureCount} student(s) failed and recorded for retry`);
+  }
+
+  // Relative grades depend on the whole class, so they are assigned once the last student is saved
+  if (!partial && gradingPolicy.mode === 'relative') {
+    await applyRelativeGrading({ examId, tenantId, evaluationLevel, gradingPolicy, updatedBy: createdByValue });
+  }
+
+  // Low-confidence questions hold the exam in review until they are resolved
+  const pendingReviewCount = tenantConfig.skipReview
+    ? 0
+    : await ReviewItem.countDocuments({ examId, tenantId, evaluationLevel, status: 'pending' });
+  if (reviewItemCount > 0) {
+    console.log(`   🔎 ${reviewItemCount} question(s) queued for review`);
+  }
+
+  if (partial) {
+    transitionExam(exam, 'partially_evaluated', { updatedBy: createdByValue, note: 'More students queued in a continuation batch' });
+  } else {
+    // Students of earlier batches of the run count as evaluated too
+    const runEvaluatedCount = runId
+      ? await Evaluation.countDocuments({ examId, tenantId, evaluationLevel, runId, isCurrent: { $ne: false }, softDelete: false })
+      : successCount;
+    // Students evaluated by earlier runs (e.g. before a retry of failed students) keep their results
+    const evaluatedCount = await Evaluation.countDocuments({
+      examId, tenantId, evaluationLevel, isCurrent: { $ne: false }, softDelete: false,
+      studentId: { $in: studentsWithAnswers.map(s => s.studentId) }
+    });
+    // A retry in which every student failed again still leaves the others' results in place
+    const noResults = retry ? evaluatedCount === 0 : runEvaluatedCount === 0;
+    if (noResults && studentsWithAnswers.length > 0) {
+      transitionExam(exam, 'failed', {
+        updatedBy: createdByValue,
+        error: failures.length > 0 ? `No student could be evaluated: ${failures[0].message}` : 'No student could be evaluated'
+      });
+    } else if (evaluatedCount < studentsWithAnswers.length) {
+      transitionExam(exam, 'partially_evaluated', {
+        updatedBy: createdByValue,
+        note: `${studentsWithAnswers.length - evaluatedCount} student(s) without a result`
+      });
+    } else {
+      transitionExam(exam, pendingReviewCount > 0 ? 'pending_review' : 'evaluated', { updatedBy: createdByValue });
+    }
+  }
   if (results.tokenUsage) {
     exam.tokenUsage = results.tokenUsage;
     if (!exam.evaluatedLevels) exam.evaluatedLevels = [];
@@ -848,20 +1650,638 @@ async function saveResultsToMongoDB(responseData) {
   exam.updatedBy = createdByValue;
   await exam.save();
 
-  console.log(`   📊 Summary: ${successCount} students saved`);
+  console.log(`   📊 Summary: ${successCount} students saved${partial ? ' (partial, more to come)' : ''}`);
+}
+
+// ============================================================================
+// EVALUATION FAILURES
+// ============================================================================
+
+/**
+ * Record students whose evaluation failed
+ * A redelivered run updates its own record without counting its attempts twice.
+ * @param {Object} params - { exam, evaluationLevel, runId, failures, createdBy }
+ * @returns {Promise<number>} - Number of students recorded
+ */
+async function recordEvaluationFailures({ exam, evaluationLevel, runId, failures, createdBy }) {
+  let recordedCount = 0;
+
+  for (const failure of failures) {
+    // Students are keyed by ID, or by name when the roster entry has no ID (see getStudentKey)
+    const studentSheet = exam.studentAnswerSheets.find(s =>
+      s.studentId?.toString() === String(failure.studentId) || s.studentName === failure.studentId
+    );
+    if (!studentSheet?.studentId) {
+      console.warn(`   ⚠️  Failed student ${failure.studentId} is not on the exam roster`);
+      continue;
+    }
+
+    const key = { examId: exam._id, studentId: studentSheet.studentId, evaluationLevel, tenantId: exam.tenantId };
+    const details = {
+      studentName: studentSheet.studentName,
+      rollNumber: studentSheet.rollNumber,
+      errorCode: failure.errorCode,
+      message: failure.message,
+      lastFailedAt: new Date(),
+      status: 'open',
+      resolvedAt: null,
+      resolvedByRunId: null,
+      updatedBy: createdBy
+    };
+
+    const sameRun = runId
+      ? await EvaluationFailure.updateOne({ ...key, runId }, { $set: details })
+      : { matchedCount: 0 };
+    if (sameRun.matchedCount === 0) {
+      await EvaluationFailure.updateOne(key, {
+        $set: { ...details, runId },
+        $inc: { attempts: failure.attempts || 1 },
+        $setOnInsert: { createdBy }
+      }, { upsert: true });
+    }
+
+    console.log(`   ❌ ${studentSheet.studentName}: ${failure.errorCode} after ${failure.attempts || 1} attempt(s)`);
+    recordedCount++;
+  }
+
+  return recordedCount;
+}
+
+/**
+ * Close the open failures of students that now have a result
+ * @returns {Promise<number>} - Number of failures resolved
+ */
+async function resolveEvaluationFailures({ examId, tenantId, evaluationLevel, studentIds, runId, updatedBy }) {
+  if (studentIds.length === 0) return 0;
+
+  const result = await EvaluationFailure.updateMany(
+    { examId, tenantId, evaluationLevel, studentId: { $in: studentIds }, status: 'open' },
+    { status: 'resolved', resolvedAt: new Date(), resolvedByRunId: runId, updatedBy }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`   ✅ ${result.modifiedCount} earlier failure(s) resolved`);
+  }
+  return result.modifiedCount || 0;
+}
+
+// ============================================================================
+// HUMAN REVIEW
+// ============================================================================
+
+/**
+ * Evaluation settings of a tenant, with defaults when it has none
+ * @returns {Promise<{ reviewConfidenceThreshold: number, skipReview: boolean }>}
+ */
+async function getTenantConfig(tenantId) {
+  const tenantConfig = await TenantConfig.findOne({ tenantId, softDelete: false }).lean();
+  return {
+    reviewConfidenceThreshold: DEFAULT_REVIEW_THRESHOLD,
+    skipReview: false,
+    monthlyBudget: null,
+    budgetAction: 'refuse',
+    modelRules: [],
+    promptTemplates: [],
+    ...(tenantConfig || {})
+  };
+}
+
+/**
+ * Queue the low-confidence questions of a saved evaluation for review
+ * Re-saving the same evaluation (a retried run) does not duplicate or reopen items;
+ * pending items of older evaluation versions of the student are superseded.
+ * @returns {Promise<number>} - Questions below the threshold
+ */
+async function queueReviewItems({ evaluation, exam, studentSheet, evaluationLevel, runId, threshold, createdBy }) {
+  const lowConfidence = evaluation.questions.filter(q => q.confidence !== undefined && q.confidence < threshold);
+
+  for (const question of lowConfidence) {
+    await ReviewItem.updateOne(
+      { evaluationId: evaluation._id, questionNumber: question.questionNumber },
+      {
+        $setOnInsert: {
+          tenantId: exam.tenantId,
+          examId: exam._id,
+          evaluationId: evaluation._id,
+          studentId: studentSheet.studentId,
+          studentName: studentSheet.studentName,
+          rollNumber: studentSheet.rollNumber,
+          evaluationLevel,
+          runId,
+          questionNumber: question.questionNumber,
+          section: question.section,
+          marksAwarded: question.marksAwarded,
+          maxMarks: question.maxMarks,
+          confidence: question.confidence,
+          reasons: question.confidenceReasons,
+          status: 'pending',
+          createdBy
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  await ReviewItem.updateMany(
+    {
+      tenantId: exam.tenantId, examId: exam._id, studentId: studentSheet.studentId, evaluationLevel,
+      evaluationId: { $ne: evaluation._id }, status: 'pending'
+    },
+    { status: 'superseded', updatedBy: createdBy }
+  );
+
+  return lowConfidence.length;
+}
+
+/**
+ * Score an evaluation's current question marks without saving anything
+ * @param {Object} evaluation - Evaluation document
+ * @returns {Promise<{ exam: Object, scoringContext: Object, scored: Object }>}
+ */
+async function scoreEvaluation(evaluation) {
+  const exam = await Exam.findOne({ _id: evaluation.examId, tenantId: evaluation.tenantId, softDelete: false });
+  if (!exam) throw new Error('Exam not found');
+
+  const scoringContext = await loadScoringContext(exam, evaluation.tenantId);
+  const scored = scoreStudentQuestions(evaluation.questions.map(q => q.toObject()), scoringContext);
+  return { exam, scoringContext, scored };
+}
+
+/**
+ * Recompute an evaluation's totals, sections and grade after its question marks changed
+ * (human review, moderation) and update its ExamResult in place
+ * @param {Object} evaluation - Evaluation document with the changed questions
+ * @param {Object} options - { updatedBy, scoring: result of scoreEvaluation when already computed }
+ * @returns {Promise<Object>} - Result of scoreStudentQuestions
+ */
+async function rescoreEvaluation(evaluation, { updatedBy, scoring }) {
+  const { exam, scoringContext, scored } = scoring || await scoreEvaluation(evaluation);
+
+  evaluation.set({
+    questions: scored.questions,
+    totalMarksAwarded: scored.totalMarksAwarded,
+    totalMaxMarks: scored.totalMaxMarks,
+    percentage: scored.percentage,
+    sectionScores: scored.sectionScores,
+    updatedBy
+  });
+  await evaluation.save();
+
+  await ExamResult.updateOne({ evaluationId: evaluation._id, tenantId: evaluation.tenantId }, {
+    marksObtained: scored.totalMarksAwarded,
+    totalMarks: scored.totalMaxMarks,
+    percentage: scored.percentage,
+    sectionScores: scored.sectionScores,
+    failedSections: scored.failedSections,
+    grade: scored.grade,
+    gradePoint: scored.gradePoint,
+    gradeDescriptor: scored.descriptor,
+    gradingPolicy: scoringContext.gradingPolicy,
+    relativeGrading: null,
+    status: scored.status,
+    updatedBy
+  });
+
+  // One student's marks move the whole cohort's ranks
+  if (scoringContext.gradingPolicy.mode === 'relative' && !isExamInProgress(exam.status)) {
+    await applyRelativeGrading({
+      examId: exam._id, tenantId: evaluation.tenantId, evaluationLevel: evaluation.evaluationLevel,
+      gradingPolicy: scoringContext.gradingPolicy, updatedBy
+    });
+  }
+
+  console.log(`   🔁 Rescored ${evaluation.studentName}: ${scored.totalMarksAwarded}/${scored.totalMaxMarks} (${scored.percentage}%)`);
+  return scored;
+}
+
+/**
+ * Resolve a review item, keeping or replacing the question's marks
+ * @param {Object} reviewItem - Pending ReviewItem document
+ * @param {Object} resolution - { marksAwarded (omit to confirm the evaluator's marks), note, resolvedBy }
+ */
+async function applyReviewResolution(reviewItem, { marksAwarded, note, resolvedBy }) {
+  const evaluation = await Evaluation.findOne({ _id: reviewItem.evaluationId, tenantId: reviewItem.tenantId });
+  if (!evaluation || evaluation.isCurrent === false || evaluation.softDelete) {
+    reviewItem.status = 'superseded';
+    reviewItem.updatedBy = resolvedBy;
+    await reviewItem.save();
+    throw new Error('Evaluation was replaced by a newer run, review item superseded');
+  }
+
+  const question = evaluation.questions.find(q => q.questionNumber === reviewItem.questionNumber);
+  if (!question) throw new Error(`Question ${reviewItem.questionNumber} not found on the evaluation`);
+
+  const originalMarks = question.marksAwarded;
+  const finalMarks = marksAwarded === undefined || marksAwarded === null ? originalMarks : parseFloat(marksAwarded);
+  if (Number.isNaN(finalMarks) || finalMarks < 0 || (question.maxMarks && finalMarks > question.maxMarks)) {
+    throw new Error(`Invalid marks for question ${reviewItem.questionNumber}: ${marksAwarded} (max ${question.maxMarks})`);
+  }
+
+  const resolvedAt = new Date();
+  question.marksAwarded = finalMarks;
+  question.awarded_marks = finalMarks;
+  question.review = { status: 'resolved', reviewItemId: reviewItem._id, originalMarks, resolvedBy, resolvedAt, note };
+
+  if (finalMarks !== originalMarks) {
+    await rescoreEvaluation(evaluation, { updatedBy: resolvedBy });
+  } else {
+    evaluation.updatedBy = resolvedBy;
+    await evaluation.save();
+  }
+
+  reviewItem.status = 'resolved';
+  reviewItem.resolution = { marksAwarded: finalMarks, note, resolvedBy, resolvedAt };
+  reviewItem.updatedBy = resolvedBy;
+  await reviewItem.save();
+
+  return { originalMarks, marksAwarded: finalMarks };
+}
+
+/**
+ * Close every pending review item of an exam without changing marks
+ * @returns {Promise<number>} - Items skipped
+ */
+async function skipPendingReviewItems({ examId, tenantId, evaluationLevel, note, resolvedBy }) {
+  const result = await ReviewItem.updateMany(
+    { examId, tenantId, evaluationLevel, status: 'pending' },
+    { status: 'skipped', resolution: { note, resolvedBy, resolvedAt: new Date() }, updatedBy: resolvedBy }
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Move an exam held in review to 'evaluated' once no review item is pending
+ * (or the tenant has opted out of review)
+ * @returns {Promise<{ status: string, pendingReviewCount: number }>}
+ */
+async function refreshExamReviewStatus({ examId, tenantId, evaluationLevel, updatedBy }) {
+  const exam = await Exam.findOne({ _id: examId, tenantId, softDelete: false });
+  if (!exam) throw new Error('Exam not found');
+
+  const tenantConfig = await getTenantConfig(tenantId);
+  const pendingReviewCount = await ReviewItem.countDocuments({ examId, tenantId, evaluationLevel, status: 'pending' });
+
+  if (exam.status === 'pending_review' && (pendingReviewCount === 0 || tenantConfig.skipReview)) {
+    transitionExam(exam, 'evaluated', { updatedBy, note: 'Review complete' });
+    await exam.save();
+    console.log('   ✅ Review complete, exam evaluated');
+  }
+
+  return { status: exam.status, pendingReviewCount };
+}
+
+// ============================================================================
+// MODERATION
+// ============================================================================
+
+const toModerationTotals = (examResult) => examResult
+  ? { marksObtained: examResult.marksObtained, percentage: examResult.percentage, grade: examResult.grade, status: examResult.status }
+  : null;
+
+/**
+ * Override the marks of questions of an evaluation, rescore the student and
+ * append one audit log entry per changed question
+ * Pending review items of the overridden questions are resolved with the new marks.
+ * @param {Object} evaluation - Current Evaluation document
+ * @param {Array<{ questionNumber, marksAwarded, reason }>} overrides
+ * @param {Object} options - { moderatedBy }
+ * @returns {Promise<{ changes: Array, totalsBefore: Object, totalsAfter: Object }>}
+ */
+async function applyModeration(evaluation, overrides, { moderatedBy }) {
+  if (evaluation.isCurrent === false || evaluation.softDelete) {
+    throw new Error('Only the current version of an evaluation can be moderated');
+  }
+
+  // Validate every override before changing anything
+  const changes = [];
+  overrides.forEach(override => {
+    const question = evaluation.questions.find(q => q.questionNumber === String(override.questionNumber));
+    if (!question) throw new Error(`Question ${override.questionNumber} not found on the evaluation`);
+    if (!override.reason || !String(override.reason).trim()) {
+      throw new Error(`A reason is required to moderate question ${override.questionNumber}`);
+    }
+    const newValue = parseFloat(override.marksAwarded);
+    if (Number.isNaN(newValue) || newValue < 0 || (question.maxMarks && newValue > question.maxMarks)) {
+      throw new Error(`Invalid marks for question ${override.questionNumber}: ${override.marksAwarded} (max ${question.maxMarks})`);
+    }
+    if (newValue !== question.marksAwarded) {
+      changes.push({ question, oldValue: question.marksAwarded, newValue, reason: String(override.reason).trim() });
+    }
+  });
+
+  const examResult = await ExamResult.findOne({ evaluationId: evaluation._id, tenantId: evaluation.tenantId });
+  const totalsBefore = toModerationTotals(examResult);
+  if (changes.length === 0) {
+    return { changes: [], totalsBefore, totalsAfter: totalsBefore };
+  }
+
+  const moderatedAt = new Date();
+  changes.forEach(({ question, oldValue, newValue, reason }) => {
+    question.marksAwarded = newValue;
+    question.awarded_marks = newValue;
+    // Keep the evaluator's marks from the first moderation
+    question.moderation = {
+      originalMarks: question.moderation?.originalMarks ?? oldValue,
+      reason,
+      moderatedBy,
+      moderatedAt
+    };
+  });
+
+  // The audit entries are written before the marks, so marks never change without one
+  // (with relative grading the cohort's grades are reassigned after the save)
+  const scoring = await scoreEvaluation(evaluation);
+  const totalsAfter = toModerationTotals({
+    marksObtained: scoring.scored.totalMarksAwarded,
+    percentage: scoring.scored.percentage,
+    grade: scoring.scored.grade,
+    status: scoring.scored.status
+  });
+
+  await ModerationAuditLog.insertMany(changes.map(({ question, oldValue, newValue, reason }) => ({
+    tenantId: evaluation.tenantId,
+    examId: evaluation.examId,
+    evaluationId: evaluation._id,
+    studentId: evaluation.studentId,
+    studentName: evaluation.studentName,
+    questionNumber: question.questionNumber,
+    field: 'marksAwarded',
+    oldValue,
+    newValue,
+    reason,
+    moderatedBy,
+    moderatedAt,
+    totalsBefore,
+    totalsAfter
+  })));
+
+  await rescoreEvaluation(evaluation, { updatedBy: moderatedBy, scoring });
+
+  // A teacher's marks settle any open review of the same question
+  for (const { question, newValue, reason } of changes) {
+    await ReviewItem.updateMany(
+      { evaluationId: evaluation._id, questionNumber: question.questionNumber, status: 'pending' },
+      {
+        status: 'resolved',
+        resolution: { marksAwarded: newValue, note: `Moderated: ${reason}`, resolvedBy: moderatedBy, resolvedAt: moderatedAt },
+        updatedBy: moderatedBy
+      }
+    );
+  }
+
+  return {
+    changes: changes.map(({ question, oldValue, newValue, reason }) => ({ questionNumber: question.questionNumber, oldValue, newValue, reason })),
+    totalsBefore,
+    totalsAfter
+  };
+}
+
+// ============================================================================
+// USAGE LEDGER AND BUDGETS
+// ============================================================================
+
+// Calls averaged to estimate what a request will cost
+const COST_ESTIMATE_SAMPLE_SIZE = 100;
+
+const usagePeriodOf = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Record one LLM call in the usage ledger
+ * A failed write is logged and never fails the evaluation.
+ * @param {Object} usage - { tenantId, functionName, provider, model, examId, runId, studentId, usageMetadata }
+ */
+async function recordLLMUsage({ tenantId, functionName, provider, model, examId, runId, studentId, usageMetadata }) {
+  try {
+    const tokenUsage = calculateTokenCost(usageMetadata || {}, { model });
+    await UsageLedger.create({
+      tenantId,
+      period: usagePeriodOf(),
+      functionName,
+      provider,
+      model,
+      examId,
+      runId,
+      studentId: studentId ? String(studentId) : undefined,
+      tokenUsage,
+      totalCost: tokenUsage.totalCost
+    });
+  } catch (error) {
+    console.warn(`   ⚠️  Usage not recorded for ${tenantId}: ${error.message}`);
+  }
+}
+
+/**
+ * LLM spend of a tenant in a calendar month
+ * @returns {Promise<number>} - Total cost in USD
+ */
+async function getMonthlySpend(tenantId, period = usagePeriodOf()) {
+  const [spend] = await UsageLedger.aggregate([
+    { $match: { tenantId, period } },
+    { $group: { _id: null, totalCost: { $sum: '$totalCost' } } }
+  ]);
+  return spend?.totalCost || 0;
+}
+
+/**
+ * Estimated cost of a request from the tenant's recent calls of the same function
+ * @param {Object} params - { tenantId, functionName, calls: expected number of LLM calls }
+ * @returns {Promise<number>} - 0 when the tenant has no history yet
+ */
+async function estimateRequestCost({ tenantId, functionName, calls = 1 }) {
+  const [recent] = await UsageLedger.aggregate([
+    { $match: { tenantId, functionName } },
+    { $sort: { createdAt: -1 } },
+    { $limit: COST_ESTIMATE_SAMPLE_SIZE },
+    { $group: { _id: null, averageCost: { $avg: '$totalCost' } } }
+  ]);
+  return (recent?.averageCost || 0) * calls;
+}
+
+/**
+ * Check a request against the tenant's monthly budget before any model call
+ * A request over budget is refused, or held as a BudgetApproval when the tenant
+ * asks for approval; a request carrying an approved budgetApprovalId passes once,
+ * and any later request with the same approval is checked against the budget again.
+ * Redeliveries of the request that used the approval pass too: they carry its consumerKey
+ * (the run id or Cloud Tasks task name).
+ * @param {Object} params - { tenantId, functionName, calls, payload, requestedBy, consumerKey }
+ * @returns {Promise<{ allowed: boolean, action?: 'refused'|'queued_for_approval', approvalId?, message?,
+ *                     monthlySpend?, monthlyBudget?, estimatedCost? }>}
+ */
+async function checkTenantBudget({ tenantId, functionName, calls = 1, payload = {}, requestedBy, consumerKey }) {
+  const tenantConfig = await getTenantConfig(tenantId);
+  if (tenantConfig.monthlyBudget === null || tenantConfig.monthlyBudget === undefined) {
+    return { allowed: true };
+  }
+
+  if (payload.budgetApprovalId) {
+    // Consumed in the same update, so concurrent replays cannot both pass
+    const unused = [{ consumedAt: null }, ...(consumerKey ? [{ consumerKey }] : [])];
+    const approval = await BudgetApproval.findOneAndUpdate(
+      { _id: payload.budgetApprovalId, tenantId, functionName, status: 'approved', $or: unused },
+      { consumedAt: new Date(), consumerKey: consumerKey || null },
+      { new: true }
+    );
+    if (approval) {
+      console.log(`   💳 Over-budget request approved by ${approval.decidedBy}`);
+      return { allowed: true };
+    }
+    console.log(`   ⚠️  Budget approval ${payload.budgetApprovalId} not approved or already used: checking the budget`);
+  }
+
+  const period = usagePeriodOf();
+  const monthlySpend = await getMonthlySpend(tenantId, period);
+  const estimatedCost = await estimateRequestCost({ tenantId, functionName, calls });
+  const monthlyBudget = tenantConfig.monthlyBudget;
+  console.log(`   💳 Budget ${period}: $${monthlySpend.toFixed(4)} of $${monthlyBudget} spent, request ~$${estimatedCost.toFixed(4)}`);
+
+  if (monthlySpend + estimatedCost <= monthlyBudget) {
+    return { allowed: true, monthlySpend, monthlyBudget, estimatedCost };
+  }
+
+  const message = `Monthly budget of $${monthlyBudget} would be exceeded ($${monthlySpend.toFixed(4)} spent, about $${estimatedCost.toFixed(4)} needed)`;
+  if (tenantConfig.budgetAction !== 'queue_for_approval') {
+    console.log(`   ⛔ ${message}: request refused`);
+    return { allowed: false, action: 'refused', message, monthlySpend, monthlyBudget, estimatedCost };
+  }
+
+  const approval = await BudgetApproval.create({
+    tenantId,
+    functionName,
+    examId: payload.examId,
+    payload,
+    period,
+    estimatedCost,
+    monthlySpend,
+    monthlyBudget,
+    requestedBy
+  });
+  console.log(`   ⏸️  ${message}: queued for approval ${approval._id}`);
+  return { allowed: false, action: 'queued_for_approval', approvalId: approval._id, message, monthlySpend, monthlyBudget, estimatedCost };
+}
+
+// ============================================================================
+// IDEMPOTENCY
+// ============================================================================
+
+/**
+ * Claim a delivery by its idempotency key
+ * A claim whose lease expired (the function was killed) can be taken over.
+ * @param {Object} options
+ * @param {string} options.key - Idempotency key of the delivery
+ * @param {string} options.functionName - Claiming Cloud Function
+ * @param {number} options.leaseSeconds - How long the claim blocks other deliveries
+ * @returns {Promise<{ claimed: boolean, record?: Object }>} - record is the existing claim when not claimed
+ */
+async function claimIdempotencyKey({ key, functionName, examId, tenantId, leaseSeconds }) {
+  const now = new Date();
+  const leaseExpiresAt = new Date(now.getTime() + leaseSeconds * 1000);
+
+  try {
+    await IdempotencyRecord.create({ key, functionName, examId, tenantId, status: 'processing', leaseExpiresAt });
+    return { claimed: true };
+  } catch (error) {
+    // 11000: duplicate key, the delivery was claimed before
+    if (error.code !== 11000) throw error;
+  }
+
+  const takenOver = await IdempotencyRecord.findOneAndUpdate(
+    { key, status: 'processing', leaseExpiresAt: { $lt: now } },
+    { leaseExpiresAt, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (takenOver) {
+    console.log(`   🔑 Took over expired claim: ${key} (attempt ${takenOver.attempts})`);
+    return { claimed: true };
+  }
+
+  return { claimed: false, record: await IdempotencyRecord.findOne({ key }) };
+}
+
+/**
+ * Mark a claimed delivery as done, keeping its response for duplicates
+ */
+async function completeIdempotencyKey(key, response) {
+  await IdempotencyRecord.updateOne({ key }, { status: 'completed', completedAt: new Date(), response });
+}
+
+/**
+ * Drop an unfinished claim so the delivery can be run again
+ */
+async function releaseIdempotencyKey(key) {
+  await IdempotencyRecord.deleteOne({ key, status: 'processing' });
+}
+
+/**
+ * Re-grade the current results of an exam against the whole cohort
+ * Keeps the absolute grade and the raw percentage; the relative grade replaces `grade`.
+ */
+async function applyRelativeGrading({ examId, tenantId, evaluationLevel, gradingPolicy, updatedBy }) {
+  const examResults = await ExamResult.find({ examId, tenantId, evaluationLevel, softDelete: false, isCurrent: { $ne: false } });
+  if (examResults.length === 0) return;
+
+  console.log(`   📈 Relative grading ${examResults.length} student(s) with ${gradingPolicy.name}`);
+
+  const relativeGrades = computeRelativeGrades(
+    examResults.map(r => ({ id: r._id, percentage: r.percentage || 0 })),
+    gradingPolicy
+  );
+  const resultsById = new Map(examResults.map(r => [r._id.toString(), r]));
+
+  for (const relative of relativeGrades) {
+    const examResult = resultsById.get(relative.id.toString());
+    await ExamResult.updateOne({ _id: examResult._id }, {
+      grade: relative.grade,
+      gradePoint: relative.gradePoint,
+      gradeDescriptor: relative.descriptor,
+      gradingPolicy,
+      relativeGrading: {
+        rank: relative.rank,
+        cohortSize: relative.cohortSize,
+        percentile: relative.percentile,
+        adjustedPercentage: relative.adjustedPercentage,
+        // A repeated run keeps the grade it started from
+        absoluteGrade: examResult.relativeGrading?.absoluteGrade || examResult.grade,
+        gradedAt: new Date()
+      },
+      updatedBy
+    });
+  }
+}
+
+/**
+ * Move an exam to a new lifecycle state
+ * @param {Object} params - { examId, tenantId, status, updatedBy, error, note }
+ * @returns {Promise<string>} - The exam's status afterwards
+ * @throws {Error} - When the exam does not exist or the transition is not allowed
+ */
+async function updateExamStatus({ examId, tenantId, status, updatedBy, error, note }) {
+  const exam = await Exam.findOne({ _id: examId, tenantId, softDelete: false });
+  if (!exam) throw new Error('Exam not found');
+
+  if (transitionExam(exam, status, { updatedBy, error, note })) {
+    await exam.save();
+  }
+  return exam.status;
 }
 
 /**
  * Handle save errors
+ * The exam moves to 'failed' with the error; an exam that is not in a run
+ * (e.g. already evaluated) keeps its status and only records the error.
  */
 async function handleSaveError(errorData) {
   try {
     const exam = await Exam.findOne({ _id: errorData.examId, tenantId: errorData.tenantId, softDelete: false });
     if (exam) {
-      exam.status = 'created';
-      exam.updatedBy = 'cloud-function';
+      const updatedBy = errorData.updatedBy || 'cloud-function';
+      if (canTransitionExam(exam.status, 'failed')) {
+        transitionExam(exam, 'failed', { updatedBy, error: errorData.error });
+      } else {
+        exam.lastError = { message: errorData.error || 'Unknown error', at: new Date() };
+        exam.updatedBy = updatedBy;
+        console.log(`   ⚠️  Error recorded, exam stays '${exam.status}'`);
+      }
       await exam.save();
-      console.log(`   ✅ Exam status reset to 'created' due to error`);
     }
   } catch (error) {
     console.error('   ❌ Error handling save error:', error);
@@ -879,7 +2299,12 @@ module.exports = {
   
   // Helper functions
   retryWithBackoff,
+  isRetryableLLMError,
+  mapWithConcurrency,
+  mergeEvaluationResults,
   calculateTokenCost,
+  addTokenUsage,
+  downloadFileFromGCS,
   loadMarkingSchemeFromGCS,
   
   // Database
@@ -891,8 +2316,40 @@ module.exports = {
   saveResultsToMongoDB,
   saveAnswerSheetEvaluationToMongoDB,
   handleSaveError,
+  updateExamStatus,
+  rescoreEvaluation,
+
+  // Human review
+  getTenantConfig,
+  applyReviewResolution,
+  skipPendingReviewItems,
+  refreshExamReviewStatus,
+
+  // Moderation
+  applyModeration,
+
+  // Usage and budgets
+  recordLLMUsage,
+  getMonthlySpend,
+  checkTenantBudget,
+
+  // Idempotency
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
   
   // Models
-  AnswerSheetEvaluation
+  Exam,
+  Evaluation,
+  AnswerSheetEvaluation,
+  GradingPolicy,
+  EvaluationRun,
+  StudentEvaluationResult,
+  EvaluationFailure,
+  TenantConfig,
+  ReviewItem,
+  ModerationAuditLog,
+  UsageLedger,
+  BudgetApproval
 };
 